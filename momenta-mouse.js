@@ -17,6 +17,8 @@ class MomentaMouse {
     activateImmediately = true,
     considerOverflowHiddenAxesNonScrollable = true,
     selectorsToIgnore = [],
+    observe = false,
+    scrollerOptions = {},
   } = {}) {
     validateArgument("rootSelector", rootSelector, {
       allowedTypes: ["string"],
@@ -33,49 +35,693 @@ class MomentaMouse {
       }
     );
     this._verifySelectors("selectorsToIgnore", selectorsToIgnore);
+    validateArgument("observe", observe, {
+      allowedTypes: ["boolean"],
+    });
+    this.#validateScrollerOptions("scrollerOptions", scrollerOptions);
 
-    document
-      .querySelectorAll(`${rootSelector}, ${rootSelector} *`)
-      .forEach((element) => {
-        const elementIsOnIgnoreList =
-          selectorsToIgnore.length &&
-          selectorsToIgnore.some((selector) => element.matches(selector));
-        if (elementIsOnIgnoreList) return;
-
-        const scrollerAlreadyExists = this.#scrollerMap.has(element);
-        if (scrollerAlreadyExists) return;
-
-        const {
-          xAxisIsPotentiallyScrollable,
-          xAxisOverflow,
-          yAxisIsPotentiallyScrollable,
-          yAxisOverflow,
-        } = ScrollContainerTools.getAxisOverflowProperties(element);
-
-        const bothAxesAreNonScrollable =
-          !xAxisIsPotentiallyScrollable && !yAxisIsPotentiallyScrollable;
-        const bothAxesHaveHiddenOverflow =
-          xAxisOverflow === "hidden" && yAxisOverflow === "hidden";
-        if (
-          bothAxesAreNonScrollable ||
-          (bothAxesHaveHiddenOverflow &&
-            considerOverflowHiddenAxesNonScrollable)
+    const autoCreationOptions = {
+      activateImmediately,
+      considerOverflowHiddenAxesNonScrollable,
+      selectorsToIgnore,
+      scrollerOptions,
+    };
+
+    const rootElements = Array.from(document.querySelectorAll(rootSelector));
+    const elements = [
+      ...new Set(
+        rootElements.flatMap((rootElement) =>
+          this.#getElementAndComposedDescendants(rootElement)
         )
-          return;
+      ),
+    ];
+
+    elements.forEach((element) =>
+      this.#autoCreateScroller(element, autoCreationOptions)
+    );
+
+    if (observe) {
+      const getElementAndDescendants = (node) => {
+        const elementAndDescendants =
+          this.#getElementAndComposedDescendants(node);
+        observeShadowRoots(elementAndDescendants);
+        return elementAndDescendants;
+      };
+
+      const changedElements = new Set();
+      let eligibilityCheckRequestId = null;
+
+      const checkEligibilityOfChangedElements = () => {
+        eligibilityCheckRequestId = null;
+        if (!this.#autoCreationObservers.has(autoCreationObserver)) return;
+
+        const elementsToCheck = new Set(changedElements);
+        this.#scrollerMap.forEach((scroller, scrollContainer) => {
+          if (
+            this.#getElementAndComposedAncestors(scrollContainer).some(
+              (element) => changedElements.has(element)
+            )
+          )
+            elementsToCheck.add(scrollContainer);
+        });
+        changedElements.clear();
+
+        elementsToCheck.forEach((element) => {
+          if (!element.isConnected) return;
+
+          const autoCreatedScrollerIsNoLongerEligible =
+            this.#autoCreatedScrollContainers.has(element) &&
+            !this.#isEligibleForAutoCreation(element, autoCreationOptions);
+
+          if (autoCreatedScrollerIsNoLongerEligible) {
+            this.getScroller(element).destroy();
+          } else if (!autoCreatedScrollerIsNoLongerEligible) {
+            this.#autoCreateScroller(element, autoCreationOptions);
+          }
+        });
+      };
+
+      const requestEligibilityCheck = (element) => {
+        changedElements.add(element);
+        if (!eligibilityCheckRequestId)
+          eligibilityCheckRequestId = requestAnimationFrame(
+            checkEligibilityOfChangedElements
+          );
+      };
+
+      // Content that grows or shrinks changes whether the element holding it
+      // overflows, so a resized element and its parent are checked. The
+      // first observation of each element only reports its initial size.
+      const elementsWithKnownSize = new WeakSet();
+      const autoCreationResizeObserver = new ResizeObserver((entries) =>
+        entries.forEach(({ target }) => {
+          if (!elementsWithKnownSize.has(target)) {
+            elementsWithKnownSize.add(target);
+            return;
+          }
+
+          requestEligibilityCheck(target);
+          const [, parent] = this.#getElementAndComposedAncestors(target);
+          if (parent) requestEligibilityCheck(parent);
+        })
+      );
+
+      const autoCreationObserver = new MutationObserver((mutationRecords) =>
+        mutationRecords.forEach((mutationRecord) => {
+          if (mutationRecord.type === "attributes")
+            return requestEligibilityCheck(mutationRecord.target);
+
+          mutationRecord.removedNodes.forEach((node) =>
+            getElementAndDescendants(node).forEach((element) => {
+              if (element.isConnected) return;
+
+              autoCreationResizeObserver.unobserve(element);
+              if (this.#autoCreatedScrollContainers.has(element))
+                this.getScroller(element).destroy();
+            })
+          );
+
+          mutationRecord.addedNodes.forEach((node) =>
+            getElementAndDescendants(node).forEach((element) => {
+              if (!element.isConnected) return;
+
+              autoCreationResizeObserver.observe(element);
+              this.#autoCreateScroller(element, autoCreationOptions);
+            })
+          );
+        })
+      );
+
+      const observerOptions = {
+        attributeFilter: ["class", "data-momenta-ignore"],
+        childList: true,
+        subtree: true,
+      };
+
+      const observeShadowRoots = (elements) =>
+        elements.forEach((element) => {
+          if (element.shadowRoot)
+            autoCreationObserver.observe(element.shadowRoot, observerOptions);
+        });
+
+      autoCreationObserver.observe(
+        document.querySelector(rootSelector),
+        observerOptions
+      );
+      observeShadowRoots(elements);
+      elements.forEach((element) =>
+        autoCreationResizeObserver.observe(element)
+      );
+
+      this.#autoCreationObservers.add(autoCreationObserver);
+      this.#autoCreationObservers.add(autoCreationResizeObserver);
+    }
+
+    return this;
+  }
+
+  static #getElementAndComposedDescendants(node) {
+    if (!(node instanceof Element)) return [];
+
+    const elementAndDescendants = [node];
+    const addDescendants = (root) => {
+      if (root.shadowRoot) addDescendants(root.shadowRoot);
+
+      root.querySelectorAll("*").forEach((descendant) => {
+        elementAndDescendants.push(descendant);
+        if (descendant.shadowRoot) addDescendants(descendant.shadowRoot);
+      });
+    };
+    addDescendants(node);
+
+    return elementAndDescendants;
+  }
+
+  static #getElementAndComposedAncestors(element) {
+    const elementAndAncestors = [];
+
+    while (element) {
+      elementAndAncestors.push(element);
+      element =
+        element.parentElement ||
+        (element.parentNode instanceof ShadowRoot
+          ? element.parentNode.host
+          : null);
+    }
+
+    return elementAndAncestors;
+  }
+
+  static #getDeepElementFromPoint(x, y) {
+    let element = document.elementFromPoint(x, y);
+
+    while (element && element.shadowRoot) {
+      const shadowElement = element.shadowRoot.elementFromPoint(x, y);
+      if (!shadowElement || shadowElement === element) break;
+      element = shadowElement;
+    }
+
+    return element;
+  }
+
+  static #autoCreatedScrollContainers = new WeakSet();
+  static #autoCreationObservers = new Set();
+
+  static #autoCreateScroller(element, autoCreationOptions) {
+    const scrollerAlreadyExists = this.#scrollerMap.has(element);
+    if (scrollerAlreadyExists) return;
+
+    if (!this.#isEligibleForAutoCreation(element, autoCreationOptions)) return;
+
+    try {
+      const scroller = this.createScroller(element, {
+        ...autoCreationOptions.scrollerOptions,
+        activateImmediately: autoCreationOptions.activateImmediately,
+      });
+      if (scroller) this.#autoCreatedScrollContainers.add(element);
+    } catch (error) {
+      reportError(error);
+    }
+  }
+
+  static #isEligibleForAutoCreation(
+    element,
+    { considerOverflowHiddenAxesNonScrollable, selectorsToIgnore }
+  ) {
+    const elementIsOnIgnoreList =
+      element.hasAttribute("data-momenta-ignore") ||
+      (selectorsToIgnore.length &&
+        selectorsToIgnore.some((selector) => element.matches(selector)));
+    if (elementIsOnIgnoreList) return false;
+
+    const {
+      xAxisIsPotentiallyScrollable,
+      xAxisOverflow,
+      yAxisIsPotentiallyScrollable,
+      yAxisOverflow,
+    } = ScrollContainerTools.getAxisOverflowProperties(element);
+
+    const bothAxesAreNonScrollable =
+      !xAxisIsPotentiallyScrollable && !yAxisIsPotentiallyScrollable;
+    const bothAxesHaveHiddenOverflow =
+      xAxisOverflow === "hidden" && yAxisOverflow === "hidden";
+
+    return !(
+      bothAxesAreNonScrollable ||
+      (bothAxesHaveHiddenOverflow && considerOverflowHiddenAxesNonScrollable)
+    );
+  }
+
+  static stopObserving() {
+    this.#autoCreationObservers.forEach((autoCreationObserver) =>
+      autoCreationObserver.disconnect()
+    );
+    this.#autoCreationObservers.clear();
+    return this;
+  }
+
+  static #validateOptionType(optionName, optionValue, allowedTypes) {
+    // Null is rejected here so that it never depends on how validateArgument
+    // types null
+    validateArgument(optionName, optionValue, { allowedTypes });
+    validateArgument(optionName, optionValue !== null, {
+      allowedValues: [true],
+      customErrorMessage: `${optionName} cannot be null`,
+    });
+  }
+
+  static #scrollerOptionAppliers = new Map([
+    [
+      "deceleration",
+      {
+        validate: (deceleration) =>
+          typeof deceleration === "string"
+            ? MomentaMouse.#validateDecelerationLevel(deceleration)
+            : MomentaMouse.#validateDeceleration(deceleration),
+        apply: (scroller, deceleration) =>
+          typeof deceleration === "string"
+            ? scroller.setDecelerationLevel(deceleration)
+            : scroller.setDeceleration(deceleration),
+      },
+    ],
+    [
+      "physicsModel",
+      {
+        validate: (physicsModel) => {
+          MomentaMouse.#validateOptionType("physicsModel", physicsModel, [
+            "string",
+            "object",
+          ]);
+          MomentaMouse.#validatePhysicsModel(physicsModel);
+        },
+        apply: (scroller, physicsModel) =>
+          scroller.setPhysicsModel(physicsModel),
+      },
+    ],
+    [
+      "bounciness",
+      {
+        validate: (bounciness) => {
+          MomentaMouse.#validateOptionType("bounciness", bounciness, [
+            "string",
+            "object",
+          ]);
+
+          if (typeof bounciness === "string") {
+            MomentaMouse.#validateBorderBouncinessLevel(bounciness);
+          } else if (typeof bounciness === "object") {
+            MomentaMouse.#validateBorderBounciness(bounciness);
+          }
+        },
+        apply: (scroller, bounciness) =>
+          typeof bounciness === "string"
+            ? scroller.setBorderBouncinessLevel(bounciness)
+            : scroller.setBorderBounciness(bounciness),
+      },
+    ],
+    [
+      "grabCursor",
+      {
+        validate: (grabCursor) => MomentaMouse.#validateGrabCursor(grabCursor),
+        apply: (scroller, grabCursor) => scroller.setGrabCursor(grabCursor),
+      },
+    ],
+    [
+      "grabbingCursor",
+      {
+        validate: (grabbingCursor) =>
+          MomentaMouse.#validateGrabbingCursor(grabbingCursor),
+        apply: (scroller, grabbingCursor) =>
+          scroller.setGrabbingCursor(grabbingCursor),
+      },
+    ],
+    [
+      "allowReactiveCursor",
+      {
+        validate: (allowReactiveCursor) =>
+          validateArgument("allowReactiveCursor", allowReactiveCursor, {
+            allowedTypes: ["boolean"],
+          }),
+        apply: (scroller, allowReactiveCursor) =>
+          scroller.setAllowReactiveCursor(allowReactiveCursor),
+      },
+    ],
+    [
+      "axes",
+      {
+        validate: (axes) =>
+          validateArgument("axes", axes, {
+            allowedValues: [
+              "horizontal-and-vertical",
+              "horizontal-only",
+              "vertical-only",
+            ],
+          }),
+        apply: (scroller, axes) =>
+          scroller
+            .setAllowHorizontalScrolling(axes !== "vertical-only")
+            .setAllowVerticalScrolling(axes !== "horizontal-only"),
+      },
+    ],
+    [
+      "successiveFlickMultiplier",
+      {
+        validate: (successiveFlickMultiplier) => {
+          MomentaMouse.#validateOptionType(
+            "successiveFlickMultiplier",
+            successiveFlickMultiplier,
+            ["boolean", "object"]
+          );
+
+          if (typeof successiveFlickMultiplier === "boolean") {
+            MomentaMouse.#validateSuccessiveFlickMultiplier(
+              successiveFlickMultiplier
+            );
+          } else if (typeof successiveFlickMultiplier === "object") {
+            MomentaMouse.#validateSuccessiveFlickMultiplier(
+              true,
+              successiveFlickMultiplier
+            );
+          }
+        },
+        apply: (scroller, successiveFlickMultiplier) =>
+          typeof successiveFlickMultiplier === "object"
+            ? scroller.setSuccessiveFlickMultiplier(
+                true,
+                successiveFlickMultiplier
+              )
+            : scroller.setSuccessiveFlickMultiplier(successiveFlickMultiplier, {
+                maxMultiplier: scroller.#successiveFlickMaxMultiplier,
+                previousDurationFraction:
+                  scroller.#successiveFlickPreviousDurationFraction,
+                maxTimeSincePreviousStop:
+                  scroller.#successiveFlickMaxTimeSincePreviousStop,
+              }),
+      },
+    ],
+    [
+      "velocityEstimator",
+      {
+        validate: (velocityEstimator) =>
+          MomentaMouse.#validateVelocityEstimator(velocityEstimator),
+        apply: (scroller, velocityEstimator) =>
+          scroller.setVelocityEstimator(velocityEstimator, {
+            sampleWindow: scroller.#sampleWindow,
+            staleSampleCutoff: scroller.#staleSampleCutoff,
+          }),
+      },
+    ],
+    [
+      "routingThreshold",
+      {
+        validate: (routingThreshold) => {
+          if (routingThreshold === null) return;
+
+          MomentaMouse.#validateOptionType(
+            "routingThreshold",
+            routingThreshold,
+            ["number", "object"]
+          );
+
+          const {
+            threshold = null,
+            scaleWithDevicePixelRatio = false,
+            deadZoneDuration = 0,
+          } = typeof routingThreshold === "object"
+            ? routingThreshold
+            : { threshold: routingThreshold };
+
+          if (threshold === null) return;
+
+          MomentaMouse.#validateRoutingThresholdSettings({
+            threshold,
+            scaleWithDevicePixelRatio,
+            deadZoneDuration,
+          });
+        },
+        apply: (scroller, routingThreshold) =>
+          routingThreshold !== null && typeof routingThreshold === "object"
+            ? scroller.setRoutingThreshold(routingThreshold.threshold, {
+                scaleWithDevicePixelRatio:
+                  routingThreshold.scaleWithDevicePixelRatio,
+                deadZoneDuration: routingThreshold.deadZoneDuration,
+              })
+            : scroller.setRoutingThreshold(routingThreshold),
+      },
+    ],
+    [
+      "dragButtons",
+      {
+        validate: (dragButtons) =>
+          MomentaMouse.#validateDragButtons(dragButtons),
+        apply: (scroller, dragButtons) => scroller.setDragButtons(dragButtons),
+      },
+    ],
+    [
+      "overscrollStrategy",
+      {
+        validate: (overscrollStrategy, scrollContainer) =>
+          MomentaMouse.#validateOverscrollStrategy(
+            overscrollStrategy,
+            scrollContainer
+          ),
+        apply: (scroller, overscrollStrategy) =>
+          scroller.setOverscrollStrategy(overscrollStrategy),
+      },
+    ],
+    [
+      "overscrollEffect",
+      {
+        validate: (overscrollEffect) =>
+          MomentaMouse.#validateOverscrollEffect(overscrollEffect),
+        apply: (scroller, overscrollEffect) =>
+          scroller.setOverscrollEffect(overscrollEffect, {
+            glowColor: scroller.#overscrollGlowColor,
+          }),
+      },
+    ],
+    [
+      "glowColor",
+      {
+        validate: (glowColor) =>
+          MomentaMouse.#validateOverscrollEffect(undefined, { glowColor }),
+        apply: (scroller, glowColor) =>
+          scroller.setOverscrollEffect(scroller.#overscrollEffect, {
+            glowColor,
+          }),
+      },
+    ],
+    [
+      "scrollChaining",
+      {
+        validate: (scrollChaining) =>
+          validateArgument("scrollChaining", scrollChaining, {
+            allowedTypes: ["boolean"],
+          }),
+        apply: (scroller, scrollChaining) =>
+          scroller.setScrollChaining(scrollChaining),
+      },
+    ],
+    [
+      "edgeApproachDistance",
+      {
+        validate: (edgeApproachDistance) =>
+          MomentaMouse.#validateEdgeApproachDistance(edgeApproachDistance),
+        apply: (scroller, edgeApproachDistance) =>
+          scroller.setEdgeApproachDistance(edgeApproachDistance),
+      },
+    ],
+    [
+      "pullToRefresh",
+      {
+        validate: (pullToRefresh) => {
+          MomentaMouse.#validateOptionType("pullToRefresh", pullToRefresh, [
+            "boolean",
+            "object",
+          ]);
+
+          if (typeof pullToRefresh === "boolean") {
+            MomentaMouse.#validatePullToRefresh(pullToRefresh);
+          } else if (typeof pullToRefresh === "object") {
+            MomentaMouse.#validatePullToRefresh(true, pullToRefresh);
+          }
+        },
+        apply: (scroller, pullToRefresh) =>
+          typeof pullToRefresh === "object"
+            ? scroller.setPullToRefresh(true, pullToRefresh)
+            : scroller.setPullToRefresh(pullToRefresh, {
+                threshold: scroller.#pullToRefreshThreshold,
+                refreshingOffset: scroller.#pullToRefreshRefreshingOffset,
+              }),
+      },
+    ],
+    [
+      "pagingMode",
+      {
+        validate: (pagingMode) => {
+          MomentaMouse.#validateOptionType("pagingMode", pagingMode, [
+            "boolean",
+            "object",
+          ]);
+
+          if (typeof pagingMode === "boolean") {
+            MomentaMouse.#validatePagingMode(pagingMode);
+          } else if (typeof pagingMode === "object") {
+            MomentaMouse.#validatePagingMode(true, pagingMode);
+          }
+        },
+        apply: (scroller, pagingMode) =>
+          typeof pagingMode === "object"
+            ? scroller.setPagingMode(true, pagingMode)
+            : scroller.setPagingMode(pagingMode, {
+                pageWidth: scroller.#pageWidth,
+                pageHeight: scroller.#pageHeight,
+                maxPagesPerFlick: scroller.#maxPagesPerFlick,
+              }),
+      },
+    ],
+  ]);
+
+  static #dataAttributeOptions = new Map(
+    [
+      ["data-momenta-deceleration", "deceleration", "number-or-string"],
+      ["data-momenta-physics-model", "physicsModel", "string"],
+      ["data-momenta-bounciness", "bounciness", "string"],
+      ["data-momenta-cursor", "grabCursor", "string"],
+      ["data-momenta-grabbing-cursor", "grabbingCursor", "string"],
+      ["data-momenta-reactive-cursor", "allowReactiveCursor", "boolean"],
+      ["data-momenta-axes", "axes", "string"],
+      [
+        "data-momenta-successive-flick-multiplier",
+        "successiveFlickMultiplier",
+        "boolean",
+      ],
+      ["data-momenta-velocity-estimator", "velocityEstimator", "string"],
+      [
+        "data-momenta-routing-threshold",
+        "routingThreshold",
+        "number-or-string",
+      ],
+      ["data-momenta-drag-buttons", "dragButtons", "list"],
+      ["data-momenta-overscroll-strategy", "overscrollStrategy", "string"],
+      ["data-momenta-overscroll-effect", "overscrollEffect", "string"],
+      ["data-momenta-glow-color", "glowColor", "string"],
+      ["data-momenta-scroll-chaining", "scrollChaining", "boolean"],
+      [
+        "data-momenta-edge-approach-distance",
+        "edgeApproachDistance",
+        "number-or-string",
+      ],
+      ["data-momenta-pull-to-refresh", "pullToRefresh", "boolean"],
+      ["data-momenta-paging-mode", "pagingMode", "boolean"],
+    ].map(([attributeName, optionName, attributeType]) => [
+      attributeName,
+      { optionName, attributeType },
+    ])
+  );
+
+  static #parseDataAttribute(attributeValue, attributeType) {
+    const trimmedAttributeValue = attributeValue.trim();
+
+    if (attributeType === "boolean") {
+      if (trimmedAttributeValue === "" || trimmedAttributeValue === "true")
+        return true;
+      if (trimmedAttributeValue === "false") return false;
+    } else if (attributeType === "number-or-string") {
+      const number = Number(trimmedAttributeValue);
+      if (trimmedAttributeValue !== "" && Number.isFinite(number))
+        return number;
+    } else if (attributeType === "list") {
+      return trimmedAttributeValue.split(/[\s,]+/).filter(Boolean);
+    }
+
+    return trimmedAttributeValue;
+  }
+
+  static #getScrollerOptionsFromDataAttributes(scrollContainer) {
+    const dataAttributeOptions = {};
+
+    this.#dataAttributeOptions.forEach(
+      ({ optionName, attributeType }, attributeName) => {
+        if (!scrollContainer.hasAttribute(attributeName)) return;
+
+        const optionValue = this.#parseDataAttribute(
+          scrollContainer.getAttribute(attributeName),
+          attributeType
+        );
+
+        try {
+          this.#scrollerOptionAppliers
+            .get(optionName)
+            .validate(optionValue, scrollContainer);
+          dataAttributeOptions[optionName] = optionValue;
+        } catch (error) {
+          this.#reportDataAttributeError(scrollContainer, attributeName, error);
+        }
+      }
+    );
+
+    return dataAttributeOptions;
+  }
+
+  static #reportDataAttributeError(scrollContainer, attributeName, error) {
+    const errorWasNotHandled = scrollContainer.dispatchEvent(
+      new CustomEvent("momentaMouseScrollerDataAttributeError", {
+        bubbles: true,
+        cancelable: true,
+        detail: {
+          scrollContainer,
+          attributeName,
+          attributeValue: scrollContainer.getAttribute(attributeName),
+          error,
+        },
+      })
+    );
 
-        this.createScroller(element, { activateImmediately });
+    if (errorWasNotHandled) reportError(error);
+  }
+
+  static #validateScrollerOptions(argumentName, scrollerOptions) {
+    validateArgument(argumentName, scrollerOptions, {
+      allowedTypes: ["object"],
+    });
+
+    Object.entries(scrollerOptions).forEach(([optionName, optionValue]) => {
+      validateArgument(`${argumentName} key`, optionName, {
+        allowedValues: Array.from(this.#scrollerOptionAppliers.keys()),
       });
+      this.#scrollerOptionAppliers.get(optionName).validate(optionValue);
+    });
+  }
+
+  static #applyScrollerOptions(scroller, scrollerOptions) {
+    this.#scrollerOptionAppliers.forEach(({ apply }, optionName) => {
+      if (!Object.hasOwn(scrollerOptions, optionName)) return;
+
+      apply(scroller, scrollerOptions[optionName]);
+    });
+  }
+
+  static #scrollerDefaults = {};
+
+  static setDefaults(scrollerDefaults = {}) {
+    this.#validateScrollerOptions("scrollerDefaults", scrollerDefaults);
 
+    this.#scrollerDefaults = { ...scrollerDefaults };
     return this;
   }
 
-  static createScroller(scrollContainer, { activateImmediately = true } = {}) {
+  static createScroller(
+    scrollContainer,
+    { activateImmediately = true, ...scrollerOptions } = {}
+  ) {
     validateArgument("scrollContainer", scrollContainer, {
       allowedPrototypes: [Element],
     });
     validateArgument("activateImmediately", activateImmediately, {
       allowedTypes: ["boolean"],
     });
+    this.#validateScrollerOptions("scrollerOptions", scrollerOptions);
 
     const scrollerAlreadyExists = this.#scrollerMap.has(scrollContainer);
     if (scrollerAlreadyExists) return this.#scrollerMap.get(scrollContainer);
@@ -90,102 +736,153 @@ class MomentaMouse {
     if (!this.#initializationComplete) {
       Heuristics.getDeviceHeuristics({ listenForAndDispatchChanges: true });
 
-      document.addEventListener("deviceHeuristicsChange", (event) => {
-        if (event.detail.property !== "hasMouseOrTouchpad") return;
+      this.#initializationAbortController = new AbortController();
+      const { signal } = this.#initializationAbortController;
 
-        const { newValue: hasMouseOrTouchpad } = event.detail;
+      document.addEventListener(
+        "deviceHeuristicsChange",
+        (event) => {
+          if (event.detail.property !== "hasMouseOrTouchpad") return;
 
-        if (hasMouseOrTouchpad) {
-          this.#scrollerMap.forEach((scroller) =>
-            scroller.activate({ reason: "Mouse available" })
-          );
-        } else if (!hasMouseOrTouchpad) {
-          this.#scrollerMap.forEach((scroller) =>
-            scroller.deactivate({ reason: "Mouse not available" })
-          );
-        }
-      });
+          const { newValue: hasMouseOrTouchpad } = event.detail;
 
-      document.addEventListener("pointerdown", (event) =>
-        this._pointerDownRouter(event)
+          if (hasMouseOrTouchpad) {
+            this.#scrollerMap.forEach((scroller) =>
+              scroller.activate({ reason: "Mouse available" })
+            );
+          } else if (
+            !hasMouseOrTouchpad &&
+            !this.#allowedPointerTypeIsAvailable()
+          ) {
+            this.#scrollerMap.forEach((scroller) =>
+              scroller.deactivate({ reason: "Mouse not available" })
+            );
+          }
+        },
+        { signal }
       );
 
-      document.addEventListener("keydown", (event) => {
-        if (!this.#allowQuickToggleKey) return;
+      document.addEventListener(
+        "pointerdown",
+        (event) => this._pointerDownRouter(event),
+        { signal }
+      );
 
-        if (event.key === "Control")
-          this.#scrollerMap.forEach((scroller) =>
-            scroller.deactivate({ reason: "Quick toggle key" })
-          );
-      });
+      this.#reducedMotionMediaQueryList.addEventListener(
+        "change",
+        () => {
+          if (this.#reducedMotionPolicy !== "respect") return;
 
-      document.addEventListener("keyup", (event) => {
-        if (!this.#allowQuickToggleKey) return;
+          this.#dispatchReducedMotionChange({
+            reason: this.#reducedMotionIsActive()
+              ? "Reduced motion preferred"
+              : "Reduced motion no longer preferred",
+          });
+        },
+        { signal }
+      );
 
-        if (event.key === "Control")
-          this.#scrollerMap.forEach((scroller) =>
-            scroller.activate({ reason: "Quick toggle key" })
-          );
+      // Direction can also be changed by a class on an ancestor. Only the
+      // changed elements that are ancestors of a scroller can affect it, so
+      // each scroller looks for them along its own ancestors.
+      const directionObserver = new MutationObserver((mutationRecords) => {
+        const changedElements = new Set(
+          mutationRecords.map(({ target }) => target)
+        );
+
+        this.#scrollerMap.forEach((scroller, scrollContainer) => {
+          if (
+            this.#getElementAndComposedAncestors(scrollContainer).some(
+              (element) => changedElements.has(element)
+            )
+          )
+            scroller.#requestRefresh();
+        });
+      });
+      directionObserver.observe(document.documentElement, {
+        attributeFilter: ["class", "dir"],
+        subtree: true,
       });
+      signal.addEventListener("abort", () => directionObserver.disconnect());
 
-      addEventListener("blur", () => {
-        if (this.#allowQuickToggleKey) {
-          this.#scrollerMap.forEach((scroller) =>
-            scroller.activate({ reason: "Quick toggle key" })
-          );
-        }
+      document.addEventListener(
+        "keydown",
+        (event) => {
+          if (!this.#allowQuickToggleKey) return;
 
-        if (this.#scrollerHandlingPointer)
-          this.#scrollerHandlingPointer.#undoPointerDownChanges({
-            interruptedBy: "Blur",
-          });
-      });
+          if (event.key !== this.#quickToggleKey || event.repeat) return;
 
-      document.addEventListener("contextmenu", () => {
-        if (this.#scrollerHandlingPointer)
-          this.#scrollerHandlingPointer.#undoPointerDownChanges({
-            interruptedBy: "Context Menu",
-          });
-      });
+          if (this.#quickToggleMode === "hold") {
+            this.#setQuickToggleEngaged(true);
+          } else if (this.#quickToggleMode === "latch") {
+            this.#setQuickToggleEngaged(!this.#quickToggleEngaged);
+          }
+        },
+        { signal }
+      );
+
+      document.addEventListener(
+        "keyup",
+        (event) => {
+          if (!this.#allowQuickToggleKey) return;
+
+          if (
+            event.key === this.#quickToggleKey &&
+            this.#quickToggleMode === "hold"
+          )
+            this.#setQuickToggleEngaged(false);
+        },
+        { signal }
+      );
+
+      addEventListener(
+        "blur",
+        () => {
+          if (this.#quickToggleMode === "hold")
+            this.#setQuickToggleEngaged(false);
+
+          if (this.#scrollerHandlingPointer)
+            this.#scrollerHandlingPointer.#undoPointerDownChanges({
+              interruptedBy: "Blur",
+            });
+        },
+        { signal }
+      );
+
+      document.addEventListener(
+        "contextmenu",
+        () => {
+          if (
+            this.#scrollerHandlingPointer &&
+            this.#scrollerHandlingPointer.#dragButton !== "secondary"
+          )
+            this.#scrollerHandlingPointer.#undoPointerDownChanges({
+              interruptedBy: "Context Menu",
+            });
+        },
+        { signal }
+      );
 
       document.addEventListener(
         "momentaMouseScrollerPointerHandlingStart",
         (event) => {
           const scroller = this.getScroller(event.detail.scrollContainer);
           this.#scrollerHandlingPointer = scroller;
-        }
+        },
+        { signal }
       );
 
       document.addEventListener(
         "momentaMouseScrollerPointerHandlingStop",
-        () => (this.#scrollerHandlingPointer = null)
+        () => (this.#scrollerHandlingPointer = null),
+        { signal }
       );
 
       this.#initializationComplete = true;
     }
 
-    const createCounterBounceMechanismForRoot = () => {
-      document.documentElement.style.setProperty("display", "grid");
-
-      const pageProgression =
-        ScrollContainerTools.getPageProgression(scrollContainer);
-      const counterBouncer = document.createElement("div");
-      const counterBouncerFloatDirection =
-        pageProgression === "left-to-right"
-          ? "right"
-          : pageProgression === "right-to-left"
-          ? "left"
-          : null;
-      counterBouncer.setAttribute(
-        "style",
-        `height: 1px; width: 1px; transform: translate3d(0px, 0px, 0px); float: ${counterBouncerFloatDirection};`
-      );
-      counterBouncer.classList.add("momenta-mouse-counter-bouncer");
-      document.body.insertAdjacentElement("beforeend", counterBouncer);
-    };
-
-    if (scrollContainer === document.documentElement)
-      createCounterBounceMechanismForRoot();
+    const dataAttributeOptions =
+      this.#getScrollerOptionsFromDataAttributes(scrollContainer);
 
     const scroller = new this(
       scrollContainer,
@@ -195,11 +892,29 @@ class MomentaMouse {
 
     this.#scrollerMap.set(scrollContainer, scroller);
 
+    scroller.#scrollerOptions = {
+      ...this.#scrollerDefaults,
+      ...scrollerOptions,
+    };
+
+    try {
+      this.#applyScrollerOptions(scroller, {
+        ...scroller.#scrollerOptions,
+        ...dataAttributeOptions,
+      });
+    } catch (error) {
+      scroller.destroy();
+      throw error;
+    }
+
     if (activateImmediately)
       scroller.activate({
         reason: "Scroller creation automatic activation",
       });
 
+    if (this.#quickToggleEngaged)
+      scroller.deactivate({ reason: "Quick toggle key" });
+
     return scroller;
   }
 
@@ -211,8 +926,26 @@ class MomentaMouse {
     return Array.from(this.#scrollerMap.values());
   }
 
+  static destroyAll() {
+    this.stopObserving();
+    this.getAllScrollers().forEach((scroller) => scroller.destroy());
+    this.#uninitialize();
+    return this;
+  }
+
+  static #initializationAbortController;
   static #initializationComplete = false;
 
+  // Releases the global listeners and observers set up for the first scroller
+  static #uninitialize() {
+    if (!this.#initializationComplete) return;
+
+    this.#initializationAbortController.abort();
+    this.#initializationComplete = false;
+    this.#quickToggleEngaged = false;
+    this.#scrollerHandlingPointer = null;
+  }
+
   static #allowQuickToggleKey = true;
 
   static setAllowQuickToggleKey(allowQuickToggleKey = true) {
@@ -220,20 +953,176 @@ class MomentaMouse {
       allowedTypes: ["boolean"],
     });
 
+    if (!allowQuickToggleKey) this.#setQuickToggleEngaged(false);
+
     this.#allowQuickToggleKey = allowQuickToggleKey;
     return this;
   }
 
-  static #selectorsOfElementsScrollerShouldIgnore = [
-    "input[type=email]",
-    "input[type=number]",
-    "input[type=password]",
-    "input[type=range]",
-    "input[type=search]",
-    "input[type=tel]",
-    "input[type=text]",
-    "input[type=url]",
-    "select",
+  static #quickToggleKey = "Control";
+  static #quickToggleMode = "hold";
+  static #quickToggleEngaged = false;
+
+  static setQuickToggleKey({ key = "Control", mode = "hold" } = {}) {
+    validateArgument("key", key, {
+      allowedTypes: ["string"],
+    });
+    validateArgument("key", key.length, {
+      allowedMin: 1,
+      customErrorMessage: "key cannot be an empty string",
+    });
+    validateArgument("mode", mode, {
+      allowedValues: ["hold", "latch"],
+    });
+
+    this.#setQuickToggleEngaged(false);
+
+    this.#quickToggleKey = key;
+    this.#quickToggleMode = mode;
+    return this;
+  }
+
+  static #setQuickToggleEngaged(quickToggleEngaged) {
+    if (quickToggleEngaged === this.#quickToggleEngaged) return;
+
+    this.#quickToggleEngaged = quickToggleEngaged;
+
+    if (quickToggleEngaged) {
+      this.#scrollerMap.forEach((scroller) =>
+        scroller.deactivate({ reason: "Quick toggle key" })
+      );
+    } else if (!quickToggleEngaged) {
+      this.#scrollerMap.forEach((scroller) =>
+        scroller.activate({ reason: "Quick toggle key" })
+      );
+    }
+
+    document.dispatchEvent(
+      new CustomEvent("momentaMouseQuickToggle", {
+        bubbles: true,
+        detail: {
+          engaged: quickToggleEngaged,
+          key: this.#quickToggleKey,
+          mode: this.#quickToggleMode,
+        },
+      })
+    );
+  }
+
+  static #pointerTypes = ["mouse", "pen", "touch"];
+  static #allowedPointerTypes = ["mouse"];
+
+  static setAllowedPointerTypes(allowedPointerTypes = ["mouse"]) {
+    validateArgument("allowedPointerTypes", allowedPointerTypes, {
+      allowedTypes: ["array"],
+    });
+    validateArgument("allowedPointerTypes", allowedPointerTypes.length, {
+      allowedMin: 1,
+      customErrorMessage: "allowedPointerTypes cannot be empty",
+    });
+    allowedPointerTypes.forEach((pointerType) =>
+      validateArgument("allowedPointerTypes pointer types", pointerType, {
+        allowedValues: this.#pointerTypes,
+      })
+    );
+
+    this.#allowedPointerTypes = [...new Set(allowedPointerTypes)];
+
+    this.#scrollerMap.forEach((scroller) => scroller.#updateTouchAction());
+
+    if (this.#allowedPointerTypeIsAvailable()) {
+      this.#scrollerMap.forEach((scroller) =>
+        scroller.activate({ reason: "Allowed pointer types change" })
+      );
+    } else if (!this.#allowedPointerTypeIsAvailable()) {
+      this.#scrollerMap.forEach((scroller) =>
+        scroller.deactivate({ reason: "Allowed pointer types change" })
+      );
+    }
+
+    return this;
+  }
+
+  static #allowedPointerTypeIsAvailable() {
+    const mouseIsAvailable =
+      this.#allowedPointerTypes.includes("mouse") &&
+      Heuristics.getDeviceHeuristics().hasMouseOrTouchpad;
+    const penOrTouchIsAvailable =
+      (this.#allowedPointerTypes.includes("pen") ||
+        this.#allowedPointerTypes.includes("touch")) &&
+      navigator.maxTouchPoints > 0;
+
+    return mouseIsAvailable || penOrTouchIsAvailable;
+  }
+
+  static #reducedMotionMediaQueryList = matchMedia(
+    "(prefers-reduced-motion: reduce)"
+  );
+  static #reducedMotionPolicy = "respect";
+  static #reducedMotionDecelerationMultiplier = 4;
+
+  static setReducedMotionPolicy(reducedMotionPolicy = "respect") {
+    validateArgument("reducedMotionPolicy", reducedMotionPolicy, {
+      allowedValues: ["respect", "ignore"],
+    });
+
+    const reducedMotionWasActive = this.#reducedMotionIsActive();
+    this.#reducedMotionPolicy = reducedMotionPolicy;
+
+    if (this.#reducedMotionIsActive() !== reducedMotionWasActive)
+      this.#dispatchReducedMotionChange({
+        reason: this.#reducedMotionIsActive()
+          ? "Reduced motion policy respected"
+          : "Reduced motion policy ignored",
+      });
+
+    return this;
+  }
+
+  static #reducedMotionIsActive() {
+    return (
+      this.#reducedMotionPolicy === "respect" &&
+      this.#reducedMotionMediaQueryList.matches
+    );
+  }
+
+  // Reduced motion turns momentum and bouncing off or back on without
+  // changing whether scrollers are active, so it is reported with the
+  // activation events of the scrollers that are active
+  static #dispatchReducedMotionChange({ reason }) {
+    const eventType = this.#reducedMotionIsActive()
+      ? "momentaMouseScrollerDeactivate"
+      : "momentaMouseScrollerActivate";
+
+    this.#scrollerMap.forEach((scroller) => {
+      if (!scroller.#active) return;
+
+      scroller.#scrollContainer.dispatchEvent(
+        new CustomEvent(eventType, {
+          bubbles: true,
+          detail: { scrollContainer: scroller.#scrollContainer, reason },
+        })
+      );
+    });
+  }
+
+  static #dragButtonNames = ["primary", "middle", "secondary"];
+  static #pointerButtonsToDragButtonMap = new Map([
+    [1, "primary"],
+    [2, "secondary"],
+    [4, "middle"],
+  ]);
+
+  static #selectorsOfElementsScrollerShouldIgnore = [
+    "input[type=email]",
+    "input[type=number]",
+    "input[type=password]",
+    "input[type=range]",
+    "input[type=search]",
+    "input[type=tel]",
+    "input[type=text]",
+    "input[type=url]",
+    "select",
     "textarea",
   ];
 
@@ -323,24 +1212,92 @@ class MomentaMouse {
     return this;
   }
 
+  static #globalRoutingThresholdSettings = {
+    threshold: 5,
+    scaleWithDevicePixelRatio: false,
+    deadZoneDuration: 0,
+  };
+
+  static #validateRoutingThresholdSettings({
+    threshold,
+    scaleWithDevicePixelRatio,
+    deadZoneDuration,
+  }) {
+    validateArgument("threshold", threshold, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+    validateArgument("scaleWithDevicePixelRatio", scaleWithDevicePixelRatio, {
+      allowedTypes: ["boolean"],
+    });
+    validateArgument("deadZoneDuration", deadZoneDuration, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+  }
+
+  static setRoutingThreshold(
+    threshold = 5,
+    { scaleWithDevicePixelRatio = false, deadZoneDuration = 0 } = {}
+  ) {
+    const routingThresholdSettings = {
+      threshold,
+      scaleWithDevicePixelRatio,
+      deadZoneDuration,
+    };
+    this.#validateRoutingThresholdSettings(routingThresholdSettings);
+
+    this.#globalRoutingThresholdSettings = routingThresholdSettings;
+    return this;
+  }
+
+  static #getRoutingThreshold(scrollContainer) {
+    const { threshold, scaleWithDevicePixelRatio, deadZoneDuration } =
+      this.getScroller(scrollContainer).#routingThresholdSettings ||
+      this.#globalRoutingThresholdSettings;
+
+    return {
+      threshold: scaleWithDevicePixelRatio
+        ? threshold * devicePixelRatio
+        : threshold,
+      deadZoneDuration,
+    };
+  }
+
   static async _pointerDownRouter(event) {
-    if (event.pointerType !== "mouse") return;
+    if (!this.#allowedPointerTypes.includes(event.pointerType)) return;
+
+    if (!event.isPrimary) return;
+
+    const dragButton = this.#pointerButtonsToDragButtonMap.get(event.buttons);
+    if (!dragButton) return;
 
     const inputButtonIsPrimary = InputTools.isPrimaryInput(event);
-    if (!inputButtonIsPrimary) return;
+    if (dragButton === "primary" && !inputButtonIsPrimary) return;
 
-    const targetOrAncestorIsOnIgnoreList =
-      this.#selectorsOfElementsScrollerShouldIgnore.length &&
-      this.#selectorsOfElementsScrollerShouldIgnore.some((selector) =>
-        event.target.closest(selector)
-      );
-    if (targetOrAncestorIsOnIgnoreList) return;
+    const scrollerAllowsDragButton = (scrollContainer) =>
+      this.getScroller(scrollContainer).#dragButtons.includes(dragButton);
 
     const eventTargets = event.composedPath();
+
+    const targetOrAncestorIsOnIgnoreList = [
+      ...this.#selectorsOfElementsScrollerShouldIgnore,
+      "[data-momenta-ignore]",
+    ].some((selector) =>
+      eventTargets.some(
+        (eventTarget) =>
+          eventTarget instanceof Element && eventTarget.matches(selector)
+      )
+    );
+    if (targetOrAncestorIsOnIgnoreList) return;
+
     const topMomentaMouseScrollerEventTarget = eventTargets.find(
       (eventTarget) =>
         eventTarget instanceof Element &&
-        eventTarget.matches(".momenta-mouse-scroller")
+        eventTarget.matches(".momenta-mouse-scroller") &&
+        scrollerAllowsDragButton(eventTarget)
     );
 
     if (!topMomentaMouseScrollerEventTarget) return;
@@ -363,6 +1320,8 @@ class MomentaMouse {
           ".momenta-mouse-scroller"
         );
         if (isScrollerMomentum) {
+          if (!scrollerAllowsDragButton(eventTarget)) return;
+
           const { scrollableAxes } =
             this.getScroller(eventTarget).getScrollerData();
           return compileEventTargetProperties({
@@ -371,9 +1330,9 @@ class MomentaMouse {
           });
         }
 
-        const isScrollerNonMomentum = safeMatches(
-          this.#selectorsOfOtherTouchScrollers
-        );
+        const isScrollerNonMomentum =
+          dragButton === "primary" &&
+          safeMatches(this.#selectorsOfOtherTouchScrollers);
         if (isScrollerNonMomentum) {
           const { xAxisIsScrollable, yAxisIsScrollable } =
             ScrollContainerTools.getAxisOverflowProperties(eventTarget);
@@ -403,11 +1362,20 @@ class MomentaMouse {
 
     const topEventTarget = eventTargets[0];
 
+    const { threshold, deadZoneDuration } = this.#getRoutingThreshold(
+      topMomentaMouseScrollerEventTarget
+    );
+
     const dispatchMomentaMouseScrollerPointerRouteEvent = (detail = {}) =>
       topEventTarget.dispatchEvent(
         new CustomEvent("momentaMouseScrollerPointerRoute", {
           bubbles: true,
-          detail: Object.assign(detail, { key: momentaMouseScrollerKey }),
+          composed: true,
+          detail: Object.assign(detail, {
+            threshold,
+            deadZoneDuration,
+            key: momentaMouseScrollerKey,
+          }),
         })
       );
 
@@ -418,10 +1386,10 @@ class MomentaMouse {
         routeFrom: null,
       });
 
-    const thresholdTest = (threshold = 5) =>
+    const thresholdTest = () =>
       new Promise((resolve) => {
-        const pointerStartingPointX = event.screenX;
-        const pointerStartingPointY = event.screenY;
+        const pointerStartingPointX = event.clientX;
+        const pointerStartingPointY = event.clientY;
         const thresholdTestAbortController = new AbortController();
 
         const abortAndResolve = (resolveData) => {
@@ -429,7 +1397,24 @@ class MomentaMouse {
           resolve(resolveData);
         };
 
+        let deadZoneElapsed = !deadZoneDuration;
+        let lastPointerMoveEvent = null;
+
+        if (!deadZoneElapsed) {
+          const deadZoneTimeoutId = setTimeout(() => {
+            deadZoneElapsed = true;
+            if (lastPointerMoveEvent) processPointerMove(lastPointerMoveEvent);
+          }, deadZoneDuration);
+
+          thresholdTestAbortController.signal.addEventListener("abort", () =>
+            clearTimeout(deadZoneTimeoutId)
+          );
+        }
+
         const processPointerMove = (event) => {
+          lastPointerMoveEvent = event;
+          if (!deadZoneElapsed) return;
+
           const getPointerDistanceFromOrigin = (
             originalPosition,
             newPosition
@@ -437,11 +1422,11 @@ class MomentaMouse {
 
           const pointerDistanceFromOriginX = getPointerDistanceFromOrigin(
             pointerStartingPointX,
-            event.screenX
+            event.clientX
           );
           const pointerDistanceFromOriginY = getPointerDistanceFromOrigin(
             pointerStartingPointY,
-            event.screenY
+            event.clientY
           );
 
           if (
@@ -459,23 +1444,30 @@ class MomentaMouse {
 
         document.addEventListener(
           "pointermove",
-          (event) =>
+          (moveEvent) => {
+            if (moveEvent.pointerId !== event.pointerId) return;
+
             this.#supportsGetCoalescedEvents
-              ? event
+              ? moveEvent
                   .getCoalescedEvents()
                   .forEach((event) => processPointerMove(event))
-              : processPointerMove(event),
+              : processPointerMove(moveEvent);
+          },
           { signal: thresholdTestAbortController.signal }
         );
 
-        ["contextmenu", "pointercancel", "pointerup", "wheel"].forEach(
-          (eventType) =>
+        ["contextmenu", "pointercancel", "pointerup", "wheel"]
+          .filter(
+            (eventType) =>
+              eventType !== "contextmenu" || dragButton !== "secondary"
+          )
+          .forEach((eventType) =>
             document.addEventListener(
               eventType,
               () => abortAndResolve({ thresholdCrossed: null }),
               { passive: true, signal: thresholdTestAbortController.signal }
             )
-        );
+          );
 
         addEventListener(
           "blur",
@@ -489,7 +1481,7 @@ class MomentaMouse {
             const pressedScrollingKey = InputTools.isKeyThatScrolls(event.key);
             if (
               pressedScrollingKey ||
-              (event.key === "Control" && this.#allowQuickToggleKey)
+              (event.key === this.#quickToggleKey && this.#allowQuickToggleKey)
             )
               abortAndResolve({ thresholdCrossed: null });
           },
@@ -500,7 +1492,8 @@ class MomentaMouse {
           "mousedown",
           (event) => {
             const wheelButtonClicked = event.button === 1;
-            if (wheelButtonClicked) abortAndResolve({ thresholdCrossed: null });
+            if (wheelButtonClicked && dragButton !== "middle")
+              abortAndResolve({ thresholdCrossed: null });
           },
           { signal: thresholdTestAbortController.signal }
         );
@@ -607,7 +1600,7 @@ class MomentaMouse {
           eventType,
           (event) => {
             const cursorIsOverNonScrollerElement =
-              document.elementFromPoint(event.clientX, event.clientY) ===
+              this.#getDeepElementFromPoint(event.clientX, event.clientY) ===
               topRelevantEventTargetProperties.eventTarget;
             if (!cursorIsOverNonScrollerElement) return abortController.abort();
             document.addEventListener(
@@ -667,15 +1660,81 @@ class MomentaMouse {
 
   #scrollContainer;
   #useCoalescedEvents;
+  #destroyAbortController = new AbortController();
+  #destroyed = false;
+  #originalInlineStyles;
+  #originalTabIndex;
   #pageProgression;
-  #decelerationLevel = "medium";
-  #borderBouncinessLevel = "medium";
   #grabCursor = "grab";
   #grabbingCursor = "grabbing";
   #allowReactiveCursor = true;
   #allowHorizontalScrolling = true;
   #allowVerticalScrolling = true;
-  #decelerationLevelToQuantityMap = new Map([
+  #dragButtons = ["primary"];
+  #scrollChaining = false;
+  #physicsModel = "constant-deceleration";
+  static #physicsModelFactories = new Map([
+    [
+      "constant-deceleration",
+      (deceleration) => ({
+        getState: (initialVelocity, elapsedTime) => {
+          const duration = initialVelocity / deceleration;
+          const elapsedTimeUntilRest = Math.min(elapsedTime, duration);
+
+          return {
+            position:
+              initialVelocity * elapsedTimeUntilRest -
+              0.5 * deceleration * Math.pow(elapsedTimeUntilRest, 2),
+            velocity: initialVelocity - deceleration * elapsedTimeUntilRest,
+            done: elapsedTime >= duration,
+          };
+        },
+        getDuration: (initialVelocity) => initialVelocity / deceleration,
+        getInitialVelocity: (distance) =>
+          Math.sqrt(2 * deceleration * distance),
+      }),
+    ],
+    [
+      "exponential-friction",
+      (deceleration) => {
+        // The time constant makes a 1 px/ms flick travel as far as it would
+        // with constant deceleration, which keeps deceleration levels comparable
+        const timeConstant = 1 / (2 * deceleration);
+        // The scroll comes to rest once less than half a CSS pixel of travel
+        // remains, so a flick stops at the same distance on every display
+        const restDistance = 0.5;
+        const getDuration = (initialVelocity) =>
+          timeConstant *
+          Math.log(
+            Math.max((initialVelocity * timeConstant) / restDistance, 1)
+          );
+
+        return {
+          getState: (initialVelocity, elapsedTime) => {
+            if (!deceleration)
+              return {
+                position: initialVelocity * elapsedTime,
+                velocity: initialVelocity,
+                done: false,
+              };
+
+            const done = elapsedTime >= getDuration(initialVelocity);
+            const decay = done ? 0 : Math.exp(-elapsedTime / timeConstant);
+
+            return {
+              position: initialVelocity * timeConstant * (1 - decay),
+              velocity: initialVelocity * decay,
+              done,
+            };
+          },
+          getDuration: (initialVelocity) =>
+            deceleration ? getDuration(initialVelocity) : Infinity,
+          getInitialVelocity: (distance) => distance / timeConstant,
+        };
+      },
+    ],
+  ]);
+  static #decelerationLevelToQuantityMap = new Map([
     ["none", 0],
     ["minimum", 0.0005 * (2 ** 0.5) ** 0],
     ["low", 0.0005 * (2 ** 0.5) ** 1],
@@ -683,7 +1742,7 @@ class MomentaMouse {
     ["high", 0.0005 * (2 ** 0.5) ** 3],
     ["maximum", 0.0005 * (2 ** 0.5) ** 4],
   ]);
-  #borderBouncinessLevelToQuantityMap = new Map([
+  static #borderBouncinessLevelToQuantityMap = new Map([
     ["none", Infinity],
     ["minimum", 0.01 / 1.2 ** 0],
     ["low", 0.01 / 1.2 ** 1],
@@ -691,6 +1750,8 @@ class MomentaMouse {
     ["high", 0.01 / 1.2 ** 3],
     ["maximum", 0.01 / 1.2 ** 4],
   ]);
+  #deceleration = MomentaMouse.#defaultDeceleration;
+  #borderBounciness = MomentaMouse.#defaultBorderBounciness;
 
   constructor(scrollContainer, key, supportsGetCoalescedEvents) {
     validateArgument("key", key, {
@@ -702,9 +1763,31 @@ class MomentaMouse {
     this.#scrollContainer = scrollContainer;
     this.#useCoalescedEvents = supportsGetCoalescedEvents;
 
+    this.#originalTabIndex = this.#scrollContainer.getAttribute("tabindex");
+    this.#originalInlineStyles = new Map(
+      [
+        "cursor",
+        "display",
+        "scroll-snap-type",
+        "touch-action",
+        "transform",
+        "transform-origin",
+        "-webkit-user-select",
+        "user-select",
+      ].map((property) => [
+        property,
+        {
+          value: this.#scrollContainer.style.getPropertyValue(property),
+          priority: this.#scrollContainer.style.getPropertyPriority(property),
+        },
+      ])
+    );
+
     this.#scrollContainer.classList.add("momenta-mouse-scroller");
     this.#scrollContainer.setAttribute("tabindex", "0");
 
+    const { signal } = this.#destroyAbortController;
+
     this.#scrollContainer.addEventListener(
       "momentaMouseScrollerPointerRoute",
       (event) => {
@@ -719,7 +1802,9 @@ class MomentaMouse {
 
         const { pointerEvent, routeTo, routeFrom } = event.detail;
         if (routeTo === this.#scrollContainer)
-          return this.#pointerDownHandler(pointerEvent);
+          return this.#pointerDownHandler(pointerEvent, {
+            routingThresholdCrossed: routeFrom !== null,
+          });
 
         if (routeFrom === this.#scrollContainer)
           return this.#undoPointerDownChanges({
@@ -731,7 +1816,8 @@ class MomentaMouse {
           this.#stopScroll({
             interruptedBy: "MomentaMouse routed to a different EventTarget",
           });
-      }
+      },
+      { signal }
     );
 
     const stopHandlingOrScrollingIfNeeded = ({ interruptedBy = null } = {}) => {
@@ -751,171 +1837,1520 @@ class MomentaMouse {
 
         stopHandlingOrScrollingIfNeeded({ interruptedBy: "Wheel" });
       },
-      { passive: true }
+      { passive: true, signal }
+    );
+
+    this.#scrollContainer.addEventListener(
+      "keydown",
+      (event) => {
+        if (!this.#active) return;
+
+        const pressedScrollingKey = InputTools.isKeyThatScrolls(event.key);
+        if (!pressedScrollingKey) return;
+
+        stopHandlingOrScrollingIfNeeded({ interruptedBy: "Keydown" });
+      },
+      { signal }
+    );
+
+    this.#scrollContainer.addEventListener(
+      "mousedown",
+      (event) => {
+        if (!this.#active) return;
+
+        const wheelButtonClicked = event.button === 1;
+        if (!wheelButtonClicked) return;
+
+        if (this.#dragButtons.includes("middle")) return event.preventDefault();
+
+        stopHandlingOrScrollingIfNeeded({
+          interruptedBy: "Mouse middle button",
+        });
+      },
+      { signal }
+    );
+
+    this.#scrollContainer.addEventListener(
+      "smoothScrollerScrollStart",
+      (event) => {
+        if (!this.#active) return;
+
+        if (event.target !== this.#scrollContainer) return;
+
+        if (this.#scrollResolve)
+          this.#stopScroll({
+            interruptedBy: "Other scroll",
+          });
+      },
+      { signal }
+    );
+
+    this.#scrollContainer.addEventListener(
+      "dragstart",
+      (event) => {
+        if (!this.#active) return;
+
+        event.preventDefault();
+      },
+      { signal }
+    );
+
+    this.#pageProgression = ScrollContainerTools.getPageProgression(
+      this.#scrollContainer
+    );
+    this.#lastKnownScrollableAxes = this.#getUpdatedScrollableAxes();
+    this.#applyOverscrollStrategy();
+    this.#updateEdgeProximity({ dispatchEvents: false });
+
+    (this.#scrollContainer === document.documentElement
+      ? document
+      : this.#scrollContainer
+    ).addEventListener("scroll", () => this.#updateEdgeProximity(), {
+      passive: true,
+      signal,
+    });
+
+    const resizeObserver = new ResizeObserver(() => this.#requestRefresh());
+    resizeObserver.observe(this.#scrollContainer);
+    Array.from(this.#scrollContainer.children).forEach((child) =>
+      resizeObserver.observe(child)
+    );
+
+    const contentObserver = new MutationObserver((mutationRecords) => {
+      mutationRecords.forEach((mutationRecord) => {
+        mutationRecord.addedNodes.forEach((node) => {
+          if (node instanceof Element) resizeObserver.observe(node);
+        });
+        mutationRecord.removedNodes.forEach((node) => {
+          if (node instanceof Element) resizeObserver.unobserve(node);
+        });
+      });
+
+      this.#requestRefresh();
+    });
+    contentObserver.observe(this.#scrollContainer, {
+      attributeFilter: ["class"],
+      childList: true,
+    });
+
+    const dataAttributeObserver = new MutationObserver((mutationRecords) =>
+      mutationRecords.forEach((mutationRecord) =>
+        this.#applyDataAttribute(mutationRecord.attributeName)
+      )
+    );
+    dataAttributeObserver.observe(this.#scrollContainer, {
+      attributeFilter: Array.from(MomentaMouse.#dataAttributeOptions.keys()),
+    });
+
+    signal.addEventListener("abort", () => {
+      resizeObserver.disconnect();
+      contentObserver.disconnect();
+      dataAttributeObserver.disconnect();
+      cancelAnimationFrame(this.#refreshRequestId);
+    });
+  }
+
+  #scrollerOptions = {};
+
+  #applyDataAttribute(attributeName) {
+    const { optionName, attributeType } =
+      MomentaMouse.#dataAttributeOptions.get(attributeName);
+    const { validate, apply } =
+      MomentaMouse.#scrollerOptionAppliers.get(optionName);
+    const attributeValue = this.#scrollContainer.getAttribute(attributeName);
+
+    const optionValue =
+      attributeValue === null
+        ? this.#scrollerOptions[optionName]
+        : MomentaMouse.#parseDataAttribute(attributeValue, attributeType);
+
+    try {
+      if (optionValue !== undefined)
+        validate(optionValue, this.#scrollContainer);
+    } catch (error) {
+      return MomentaMouse.#reportDataAttributeError(
+        this.#scrollContainer,
+        attributeName,
+        error
+      );
+    }
+
+    apply(this, optionValue);
+  }
+
+  #lastKnownScrollableAxes;
+  #refreshRequestId;
+
+  #requestRefresh() {
+    if (this.#refreshRequestId) return;
+
+    this.#refreshRequestId = requestAnimationFrame(() => {
+      this.#refreshRequestId = null;
+      this.#refresh();
+    });
+  }
+
+  #refresh() {
+    const previousPageProgression = this.#pageProgression;
+    const previousScrollableAxes = this.#lastKnownScrollableAxes;
+
+    this.#pageProgression = ScrollContainerTools.getPageProgression(
+      this.#scrollContainer
+    );
+    this.#lastKnownScrollableAxes = this.#getUpdatedScrollableAxes();
+    this.#getUpdatedOverscrollBehavior();
+    this.#updateEdgeProximity();
+
+    const pageProgressionChanged =
+      this.#pageProgression !== previousPageProgression;
+    const scrollableAxesChanged =
+      this.#lastKnownScrollableAxes !== previousScrollableAxes;
+
+    if (pageProgressionChanged && this.#counterBouncer)
+      this.#counterBouncer.style.setProperty(
+        "float",
+        this.#getCounterBouncerFloatDirection()
+      );
+
+    if (!pageProgressionChanged && !scrollableAxesChanged) return;
+
+    this.#scrollContainer.dispatchEvent(
+      new CustomEvent("momentaMouseScrollerAxesChange", {
+        bubbles: true,
+        detail: {
+          scrollContainer: this.#scrollContainer,
+          previousScrollableAxes,
+          scrollableAxes: this.#lastKnownScrollableAxes,
+          previousPageProgression,
+          pageProgression: this.#pageProgression,
+        },
+      })
+    );
+  }
+
+  getScrollerData() {
+    return {
+      active: this.#active,
+      isCurrentlyHandlingPointer: this.#isCurrentlyHandlingPointer,
+      scrollableAxes: this.#getUpdatedScrollableAxes(),
+      scrollContainer: this.#scrollContainer,
+      scrolling: !!this.#scrollResolve,
+    };
+  }
+
+  static #defaultDecelerationLevel = "medium";
+
+  static #validateDecelerationLevel(
+    decelerationLevel = MomentaMouse.#defaultDecelerationLevel
+  ) {
+    validateArgument("decelerationLevel", decelerationLevel, {
+      allowedValues: Array.from(
+        MomentaMouse.#decelerationLevelToQuantityMap.keys()
+      ),
+    });
+  }
+
+  setDecelerationLevel(
+    decelerationLevel = MomentaMouse.#defaultDecelerationLevel
+  ) {
+    MomentaMouse.#validateDecelerationLevel(decelerationLevel);
+
+    this.#deceleration =
+      MomentaMouse.#decelerationLevelToQuantityMap.get(decelerationLevel);
+    return this;
+  }
+
+  static #defaultDeceleration =
+    MomentaMouse.#decelerationLevelToQuantityMap.get(
+      MomentaMouse.#defaultDecelerationLevel
     );
 
-    this.#scrollContainer.addEventListener("keydown", (event) => {
-      if (!this.#active) return;
+  static #validateDeceleration(
+    deceleration = MomentaMouse.#defaultDeceleration
+  ) {
+    validateArgument("deceleration", deceleration, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+  }
+
+  setDeceleration(deceleration = MomentaMouse.#defaultDeceleration) {
+    MomentaMouse.#validateDeceleration(deceleration);
+
+    this.#deceleration = deceleration;
+    return this;
+  }
+
+  static #defaultPhysicsModel = "constant-deceleration";
+
+  static #validatePhysicsModel(
+    physicsModel = MomentaMouse.#defaultPhysicsModel
+  ) {
+    MomentaMouse.#validateOptionType("physicsModel", physicsModel, [
+      "string",
+      "object",
+    ]);
+
+    if (typeof physicsModel === "string") {
+      validateArgument("physicsModel", physicsModel, {
+        allowedValues: Array.from(MomentaMouse.#physicsModelFactories.keys()),
+      });
+    } else if (typeof physicsModel === "object") {
+      validateArgument("physicsModel.getState", physicsModel.getState, {
+        allowedTypes: ["function"],
+      });
+      ["getDuration", "getInitialVelocity"].forEach((methodName) => {
+        if (physicsModel[methodName] === undefined) return;
+
+        validateArgument(
+          `physicsModel.${methodName}`,
+          physicsModel[methodName],
+          {
+            allowedTypes: ["function"],
+          }
+        );
+      });
+    }
+  }
+
+  setPhysicsModel(physicsModel = MomentaMouse.#defaultPhysicsModel) {
+    MomentaMouse.#validatePhysicsModel(physicsModel);
 
-      const pressedScrollingKey = InputTools.isKeyThatScrolls(event.key);
-      if (!pressedScrollingKey) return;
+    this.#physicsModel = physicsModel;
+    return this;
+  }
+
+  #getPhysicsModel() {
+    if (MomentaMouse.#reducedMotionIsActive())
+      return MomentaMouse.#physicsModelFactories.get("constant-deceleration")(
+        Math.max(
+          this.#deceleration,
+          MomentaMouse.#decelerationLevelToQuantityMap.get("medium")
+        ) * MomentaMouse.#reducedMotionDecelerationMultiplier
+      );
+
+    if (typeof this.#physicsModel !== "string") return this.#physicsModel;
+
+    return MomentaMouse.#physicsModelFactories.get(this.#physicsModel)(
+      this.#deceleration
+    );
+  }
+
+  #getPhysicsModelDuration(physicsModel, initialVelocity) {
+    if (typeof physicsModel.getDuration === "function")
+      return physicsModel.getDuration(initialVelocity);
+
+    const isDone = (elapsedTime) =>
+      physicsModel.getState(initialVelocity, elapsedTime).done;
+
+    let lowerElapsedTime = 0;
+    let upperElapsedTime = 1;
+    for (let i = 0; !isDone(upperElapsedTime); i++) {
+      if (i === 32) return Infinity;
+      lowerElapsedTime = upperElapsedTime;
+      upperElapsedTime *= 2;
+    }
+
+    for (let i = 0; i < 32; i++) {
+      const elapsedTime = (lowerElapsedTime + upperElapsedTime) / 2;
+      if (isDone(elapsedTime)) {
+        upperElapsedTime = elapsedTime;
+      } else {
+        lowerElapsedTime = elapsedTime;
+      }
+    }
+
+    return upperElapsedTime;
+  }
+
+  static #physicsModelDistanceCaches = new WeakMap();
+  static #physicsModelDistanceCacheLimit = 1024;
+
+  #getPhysicsModelDistance(physicsModel, initialVelocity) {
+    if (!initialVelocity) return 0;
+
+    // Solving a custom model's duration takes many getState calls, and the
+    // initial velocity search asks for the same distances on every flick to a
+    // recurring distance, such as a page, so distances are cached per model
+    if (!MomentaMouse.#physicsModelDistanceCaches.has(physicsModel))
+      MomentaMouse.#physicsModelDistanceCaches.set(physicsModel, new Map());
+    const distanceCache =
+      MomentaMouse.#physicsModelDistanceCaches.get(physicsModel);
+
+    if (distanceCache.has(initialVelocity))
+      return distanceCache.get(initialVelocity);
+
+    if (distanceCache.size >= MomentaMouse.#physicsModelDistanceCacheLimit)
+      distanceCache.clear();
+
+    const duration = this.#getPhysicsModelDuration(
+      physicsModel,
+      initialVelocity
+    );
+    const distance = Number.isFinite(duration)
+      ? physicsModel.getState(initialVelocity, duration).position
+      : Infinity;
+
+    distanceCache.set(initialVelocity, distance);
+    return distance;
+  }
+
+  static #defaultBorderBouncinessLevel = "medium";
+
+  static #validateBorderBouncinessLevel(
+    borderBouncinessLevel = MomentaMouse.#defaultBorderBouncinessLevel
+  ) {
+    validateArgument("borderBouncinessLevel", borderBouncinessLevel, {
+      allowedValues: Array.from(
+        MomentaMouse.#borderBouncinessLevelToQuantityMap.keys()
+      ),
+    });
+  }
+
+  setBorderBouncinessLevel(
+    borderBouncinessLevel = MomentaMouse.#defaultBorderBouncinessLevel
+  ) {
+    MomentaMouse.#validateBorderBouncinessLevel(borderBouncinessLevel);
+
+    this.#borderBounciness = MomentaMouse.#getSpringFromBorderBouncinessLevel(
+      borderBouncinessLevel
+    );
+    return this;
+  }
+
+  static #defaultBorderBounciness =
+    MomentaMouse.#getSpringFromBorderBouncinessLevel(
+      MomentaMouse.#defaultBorderBouncinessLevel
+    );
+
+  static #validateBorderBounciness({
+    damping = MomentaMouse.#defaultBorderBounciness.damping,
+    stiffness = MomentaMouse.#defaultBorderBounciness.stiffness,
+  } = {}) {
+    validateArgument("damping", damping, {
+      allowedTypes: ["number"],
+      allowedMin: Number.MIN_VALUE,
+      allowFiniteNumbersOnly: true,
+      customErrorMessage: "damping must be a finite Number greater than 0",
+    });
+    validateArgument("stiffness", stiffness, {
+      allowedTypes: ["number"],
+      allowedMin: Number.MIN_VALUE,
+      allowFiniteNumbersOnly: true,
+      customErrorMessage: "stiffness must be a finite Number greater than 0",
+    });
+  }
+
+  setBorderBounciness({
+    damping = MomentaMouse.#defaultBorderBounciness.damping,
+    stiffness = MomentaMouse.#defaultBorderBounciness.stiffness,
+  } = {}) {
+    MomentaMouse.#validateBorderBounciness({ damping, stiffness });
+
+    this.#borderBounciness = { damping, stiffness };
+    return this;
+  }
+
+  static #getSpringFromBorderBouncinessLevel(borderBouncinessLevel) {
+    if (borderBouncinessLevel === "none") return null;
+
+    // Levels describe critically damped springs
+    const naturalFrequency =
+      MomentaMouse.#borderBouncinessLevelToQuantityMap.get(
+        borderBouncinessLevel
+      );
+
+    return {
+      damping: 2 * naturalFrequency,
+      stiffness: naturalFrequency ** 2,
+    };
+  }
+
+  static #defaultGrabCursor = "grab";
+
+  static #validateGrabCursor(grabCursor = MomentaMouse.#defaultGrabCursor) {
+    validateArgument("grabCursor", grabCursor, {
+      allowedTypes: ["string"],
+      customErrorMessage:
+        "grabCursor must be a String and should be appropriate for the CSS Cursor property (https://developer.mozilla.org/en-US/docs/Web/CSS/cursor)",
+    });
+  }
+
+  setGrabCursor(grabCursor = MomentaMouse.#defaultGrabCursor) {
+    MomentaMouse.#validateGrabCursor(grabCursor);
+
+    if (
+      this.#allowReactiveCursor &&
+      !this.#isCurrentlyHandlingPointer &&
+      this.#active
+    )
+      this.#scrollContainer.style.setProperty("cursor", grabCursor);
+
+    this.#grabCursor = grabCursor;
+    return this;
+  }
+
+  static #defaultGrabbingCursor = "grabbing";
+
+  static #validateGrabbingCursor(
+    grabbingCursor = MomentaMouse.#defaultGrabbingCursor
+  ) {
+    validateArgument("grabbingCursor", grabbingCursor, {
+      allowedTypes: ["string"],
+      customErrorMessage:
+        "grabbingCursor must be a String and should be appropriate for the CSS Cursor property (https://developer.mozilla.org/en-US/docs/Web/CSS/cursor)",
+    });
+  }
+
+  setGrabbingCursor(grabbingCursor = MomentaMouse.#defaultGrabbingCursor) {
+    MomentaMouse.#validateGrabbingCursor(grabbingCursor);
+
+    if (
+      this.#allowReactiveCursor &&
+      this.#isCurrentlyHandlingPointer &&
+      this.#active
+    )
+      this.#scrollContainer.style.setProperty("cursor", grabbingCursor);
+
+    this.#grabbingCursor = grabbingCursor;
+    return this;
+  }
+
+  setAllowReactiveCursor(allowReactiveCursor = true) {
+    validateArgument("allowReactiveCursor", allowReactiveCursor, {
+      allowedTypes: ["boolean"],
+    });
+
+    if (allowReactiveCursor && this.#active) {
+      if (this.#isCurrentlyHandlingPointer) {
+        this.#scrollContainer.style.setProperty("cursor", this.#grabbingCursor);
+      } else if (!this.#isCurrentlyHandlingPointer) {
+        this.#scrollContainer.style.setProperty("cursor", this.#grabCursor);
+      }
+    } else if (!allowReactiveCursor) {
+      this.#scrollContainer.style.removeProperty("cursor");
+    }
+
+    this.#allowReactiveCursor = allowReactiveCursor;
+    return this;
+  }
+
+  setAllowHorizontalScrolling(allowHorizontalScrolling = true) {
+    validateArgument("allowHorizontalScrolling", allowHorizontalScrolling, {
+      allowedTypes: ["boolean"],
+    });
+
+    this.#allowHorizontalScrolling = allowHorizontalScrolling;
+    return this;
+  }
+
+  setAllowVerticalScrolling(allowVerticalScrolling = true) {
+    validateArgument("allowVerticalScrolling", allowVerticalScrolling, {
+      allowedTypes: ["boolean"],
+    });
+
+    this.#allowVerticalScrolling = allowVerticalScrolling;
+    return this;
+  }
+
+  #successiveFlickMultiplier = true;
+  #successiveFlickMaxMultiplier = Infinity;
+  #successiveFlickPreviousDurationFraction = 0.5;
+  #successiveFlickMaxTimeSincePreviousStop = 500;
+
+  static #successiveFlickMultiplierDefaults = {
+    successiveFlickMultiplier: true,
+    maxMultiplier: Infinity,
+    previousDurationFraction: 0.5,
+    maxTimeSincePreviousStop: 500,
+  };
+
+  static #validateSuccessiveFlickMultiplier(
+    successiveFlickMultiplier = MomentaMouse.#successiveFlickMultiplierDefaults
+      .successiveFlickMultiplier,
+    {
+      maxMultiplier = MomentaMouse.#successiveFlickMultiplierDefaults
+        .maxMultiplier,
+      previousDurationFraction = MomentaMouse.#successiveFlickMultiplierDefaults
+        .previousDurationFraction,
+      maxTimeSincePreviousStop = MomentaMouse.#successiveFlickMultiplierDefaults
+        .maxTimeSincePreviousStop,
+    } = {}
+  ) {
+    validateArgument("successiveFlickMultiplier", successiveFlickMultiplier, {
+      allowedTypes: ["boolean"],
+    });
+    validateArgument("maxMultiplier", maxMultiplier, {
+      allowedTypes: ["number"],
+      allowedMin: 1,
+      allowNonNaNNumbersOnly: true,
+    });
+    validateArgument("previousDurationFraction", previousDurationFraction, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+    validateArgument("maxTimeSincePreviousStop", maxTimeSincePreviousStop, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+  }
+
+  setSuccessiveFlickMultiplier(
+    successiveFlickMultiplier = MomentaMouse.#successiveFlickMultiplierDefaults
+      .successiveFlickMultiplier,
+    {
+      maxMultiplier = MomentaMouse.#successiveFlickMultiplierDefaults
+        .maxMultiplier,
+      previousDurationFraction = MomentaMouse.#successiveFlickMultiplierDefaults
+        .previousDurationFraction,
+      maxTimeSincePreviousStop = MomentaMouse.#successiveFlickMultiplierDefaults
+        .maxTimeSincePreviousStop,
+    } = {}
+  ) {
+    MomentaMouse.#validateSuccessiveFlickMultiplier(successiveFlickMultiplier, {
+      maxMultiplier,
+      previousDurationFraction,
+      maxTimeSincePreviousStop,
+    });
+
+    this.#successiveFlickMultiplier = successiveFlickMultiplier;
+    this.#successiveFlickMaxMultiplier = maxMultiplier;
+    this.#successiveFlickPreviousDurationFraction = previousDurationFraction;
+    this.#successiveFlickMaxTimeSincePreviousStop = maxTimeSincePreviousStop;
+    return this;
+  }
+
+  static #velocityEstimators = new Map([
+    [
+      "recent-delta",
+      (samples) => {
+        const endSample = samples[samples.length - 1];
+
+        for (let i = 2; i < 6; i++) {
+          if (samples.length < i) return 0;
+
+          const startSample = samples[samples.length - i];
+          const positionChange = endSample.position - startSample.position;
+          const timeChange = endSample.time - startSample.time;
+
+          if (positionChange && timeChange) return positionChange / timeChange;
+        }
+
+        return 0;
+      },
+    ],
+    [
+      "weighted-average",
+      (samples) => {
+        const endTime = samples[samples.length - 1].time;
+        const sampleWindow = endTime - samples[0].time;
+        let weightedVelocitySum = 0;
+        let weightSum = 0;
+
+        for (let i = 1; i < samples.length; i++) {
+          const timeChange = samples[i].time - samples[i - 1].time;
+          if (!timeChange) continue;
+
+          const velocity =
+            (samples[i].position - samples[i - 1].position) / timeChange;
+          const age = endTime - (samples[i].time + samples[i - 1].time) / 2;
+
+          // Recent segments and long segments count more
+          const weight =
+            timeChange * (sampleWindow ? 1 - age / sampleWindow : 1);
+
+          weightedVelocitySum += velocity * weight;
+          weightSum += weight;
+        }
+
+        return weightSum ? weightedVelocitySum / weightSum : 0;
+      },
+    ],
+    [
+      "least-squares",
+      (samples) => {
+        const meanTime =
+          samples.reduce((sum, { time }) => sum + time, 0) / samples.length;
+        const meanPosition =
+          samples.reduce((sum, { position }) => sum + position, 0) /
+          samples.length;
+
+        let covariance = 0;
+        let timeVariance = 0;
+
+        samples.forEach(({ position, time }) => {
+          covariance += (time - meanTime) * (position - meanPosition);
+          timeVariance += (time - meanTime) ** 2;
+        });
+
+        return timeVariance ? covariance / timeVariance : 0;
+      },
+    ],
+  ]);
+
+  #velocityEstimator = "recent-delta";
+  #sampleWindow = 100;
+  #staleSampleCutoff = 100;
+
+  static #velocityEstimatorDefaults = {
+    velocityEstimator: "recent-delta",
+    sampleWindow: 100,
+    staleSampleCutoff: 100,
+  };
+
+  static #validateVelocityEstimator(
+    velocityEstimator = MomentaMouse.#velocityEstimatorDefaults
+      .velocityEstimator,
+    {
+      sampleWindow = MomentaMouse.#velocityEstimatorDefaults.sampleWindow,
+      staleSampleCutoff = MomentaMouse.#velocityEstimatorDefaults
+        .staleSampleCutoff,
+    } = {}
+  ) {
+    MomentaMouse.#validateOptionType("velocityEstimator", velocityEstimator, [
+      "string",
+      "object",
+    ]);
+
+    if (typeof velocityEstimator === "string") {
+      validateArgument("velocityEstimator", velocityEstimator, {
+        allowedValues: Array.from(MomentaMouse.#velocityEstimators.keys()),
+      });
+    } else if (typeof velocityEstimator === "object") {
+      validateArgument(
+        "velocityEstimator.getVelocity",
+        velocityEstimator.getVelocity,
+        {
+          allowedTypes: ["function"],
+        }
+      );
+    }
+
+    validateArgument("sampleWindow", sampleWindow, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+    validateArgument("staleSampleCutoff", staleSampleCutoff, {
+      allowedTypes: ["number"],
+      allowedMin: Number.MIN_VALUE,
+      allowFiniteNumbersOnly: true,
+      customErrorMessage:
+        "staleSampleCutoff must be a finite Number greater than 0",
+    });
+  }
+
+  setVelocityEstimator(
+    velocityEstimator = MomentaMouse.#velocityEstimatorDefaults
+      .velocityEstimator,
+    {
+      sampleWindow = MomentaMouse.#velocityEstimatorDefaults.sampleWindow,
+      staleSampleCutoff = MomentaMouse.#velocityEstimatorDefaults
+        .staleSampleCutoff,
+    } = {}
+  ) {
+    MomentaMouse.#validateVelocityEstimator(velocityEstimator, {
+      sampleWindow,
+      staleSampleCutoff,
+    });
+
+    this.#velocityEstimator = velocityEstimator;
+    this.#sampleWindow = sampleWindow;
+    this.#staleSampleCutoff = staleSampleCutoff;
+    return this;
+  }
+
+  #routingThresholdSettings = null;
+
+  setRoutingThreshold(
+    threshold = null,
+    { scaleWithDevicePixelRatio = false, deadZoneDuration = 0 } = {}
+  ) {
+    if (threshold === null) {
+      this.#routingThresholdSettings = null;
+      return this;
+    }
+
+    const routingThresholdSettings = {
+      threshold,
+      scaleWithDevicePixelRatio,
+      deadZoneDuration,
+    };
+    MomentaMouse.#validateRoutingThresholdSettings(routingThresholdSettings);
+
+    this.#routingThresholdSettings = routingThresholdSettings;
+    return this;
+  }
+
+  static #defaultDragButtons = ["primary"];
+
+  static #validateDragButtons(dragButtons = MomentaMouse.#defaultDragButtons) {
+    validateArgument("dragButtons", dragButtons, {
+      allowedTypes: ["array"],
+    });
+    validateArgument("dragButtons", dragButtons.length, {
+      allowedMin: 1,
+      customErrorMessage: "dragButtons cannot be empty",
+    });
+    dragButtons.forEach((dragButton) =>
+      validateArgument("dragButtons buttons", dragButton, {
+        allowedValues: MomentaMouse.#dragButtonNames,
+      })
+    );
+  }
+
+  setDragButtons(dragButtons = MomentaMouse.#defaultDragButtons) {
+    MomentaMouse.#validateDragButtons(dragButtons);
+
+    if (
+      this.#isCurrentlyHandlingPointer &&
+      !dragButtons.includes(this.#dragButton)
+    )
+      this.#undoPointerDownChanges({ interruptedBy: "setDragButtons Method" });
+
+    this.#dragButtons = [...new Set(dragButtons)];
+    return this;
+  }
+
+  static #defaultOverscrollStrategy = "transform";
+
+  static #getOverscrollWrapper(scrollContainer) {
+    const wrapperParent =
+      scrollContainer === document.documentElement
+        ? document.body
+        : scrollContainer;
+
+    return (
+      Array.from(wrapperParent.children).find((child) =>
+        child.hasAttribute("data-momenta-overscroll-wrapper")
+      ) || null
+    );
+  }
+
+  static #validateOverscrollStrategy(
+    overscrollStrategy = MomentaMouse.#defaultOverscrollStrategy,
+    scrollContainer
+  ) {
+    validateArgument("overscrollStrategy", overscrollStrategy, {
+      allowedValues: ["transform", "wrapper", "custom-properties"],
+    });
+
+    // Defaults are validated without a scroll container to look in
+    if (overscrollStrategy !== "wrapper" || !scrollContainer) return;
+
+    validateArgument(
+      "overscrollStrategy",
+      MomentaMouse.#getOverscrollWrapper(scrollContainer) !== null,
+      {
+        allowedValues: [true],
+        customErrorMessage:
+          'The "wrapper" overscroll strategy requires a child of the scroll container, or of the body for the root scroller, with the data-momenta-overscroll-wrapper attribute',
+      }
+    );
+  }
+
+  setOverscrollStrategy(
+    overscrollStrategy = MomentaMouse.#defaultOverscrollStrategy
+  ) {
+    MomentaMouse.#validateOverscrollStrategy(
+      overscrollStrategy,
+      this.#scrollContainer
+    );
+
+    // Setting "wrapper" again picks up a wrapper that has been replaced
+    if (
+      overscrollStrategy === this.#overscrollStrategy &&
+      (overscrollStrategy !== "wrapper" ||
+        this.#overscrollWrapper ===
+          MomentaMouse.#getOverscrollWrapper(this.#scrollContainer))
+    )
+      return this;
+
+    if (this.#bounceResolve)
+      this.#stopBounce({
+        interruptedBy: "setOverscrollStrategy Method",
+      });
+
+    this.#bounceCurrentTranslateX = 0;
+    this.#bounceCurrentTranslateY = 0;
+    this.#removeOverscrollStrategy();
+
+    this.#overscrollStrategy = overscrollStrategy;
+    this.#applyOverscrollStrategy();
+    return this;
+  }
+
+  static #overscrollEffectDefaults = {
+    overscrollEffect: "bounce",
+    glowColor: "rgba(0, 0, 0, 0.2)",
+  };
+
+  static #validateOverscrollEffect(
+    overscrollEffect = MomentaMouse.#overscrollEffectDefaults.overscrollEffect,
+    { glowColor = MomentaMouse.#overscrollEffectDefaults.glowColor } = {}
+  ) {
+    validateArgument("overscrollEffect", overscrollEffect, {
+      allowedValues: ["bounce", "glow", "stretch", "none"],
+    });
+    validateArgument("glowColor", glowColor, {
+      allowedTypes: ["string"],
+    });
+    validateArgument("glowColor", CSS.supports("color", glowColor), {
+      allowedValues: [true],
+      customErrorMessage:
+        "glowColor must be a String representing a CSS color (https://developer.mozilla.org/en-US/docs/Web/CSS/color_value)",
+    });
+  }
+
+  setOverscrollEffect(
+    overscrollEffect = MomentaMouse.#overscrollEffectDefaults.overscrollEffect,
+    { glowColor = MomentaMouse.#overscrollEffectDefaults.glowColor } = {}
+  ) {
+    MomentaMouse.#validateOverscrollEffect(overscrollEffect, { glowColor });
+
+    if (this.#bounceResolve)
+      this.#stopBounce({
+        interruptedBy: "setOverscrollEffect Method",
+      });
+
+    this.#bounceCurrentTranslateX = 0;
+    this.#bounceCurrentTranslateY = 0;
+    this.#updateBouncePosition();
+    if (this.#overscrollStrategy === "transform")
+      this.#restoreOriginalInlineStyles(["transform", "transform-origin"]);
+
+    this.#overscrollEffect = overscrollEffect;
+    this.#overscrollGlowColor = glowColor;
+    return this;
+  }
+
+  setScrollChaining(scrollChaining = false) {
+    validateArgument("scrollChaining", scrollChaining, {
+      allowedTypes: ["boolean"],
+    });
+
+    this.#scrollChaining = scrollChaining;
+    return this;
+  }
+
+  static #defaultEdgeApproachDistance = 200;
+
+  static #validateEdgeApproachDistance(
+    edgeApproachDistance = MomentaMouse.#defaultEdgeApproachDistance
+  ) {
+    validateArgument("edgeApproachDistance", edgeApproachDistance, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+  }
+
+  setEdgeApproachDistance(
+    edgeApproachDistance = MomentaMouse.#defaultEdgeApproachDistance
+  ) {
+    MomentaMouse.#validateEdgeApproachDistance(edgeApproachDistance);
+
+    this.#edgeApproachDistance = edgeApproachDistance;
+    this.#updateEdgeProximity();
+    return this;
+  }
+
+  static #pullToRefreshDefaults = {
+    pullToRefresh: false,
+    threshold: 40,
+    refreshingOffset: 30,
+  };
+
+  static #validatePullToRefresh(
+    pullToRefresh = MomentaMouse.#pullToRefreshDefaults.pullToRefresh,
+    {
+      threshold = MomentaMouse.#pullToRefreshDefaults.threshold,
+      refreshingOffset = MomentaMouse.#pullToRefreshDefaults.refreshingOffset,
+    } = {}
+  ) {
+    validateArgument("pullToRefresh", pullToRefresh, {
+      allowedTypes: ["boolean"],
+    });
+    validateArgument("threshold", threshold, {
+      allowedTypes: ["number"],
+      allowedMin: Number.MIN_VALUE,
+      allowFiniteNumbersOnly: true,
+      customErrorMessage: "threshold must be a finite Number greater than 0",
+    });
+    validateArgument("refreshingOffset", refreshingOffset, {
+      allowedTypes: ["number"],
+      allowedMin: 0,
+      allowFiniteNumbersOnly: true,
+    });
+  }
+
+  setPullToRefresh(
+    pullToRefresh = MomentaMouse.#pullToRefreshDefaults.pullToRefresh,
+    {
+      threshold = MomentaMouse.#pullToRefreshDefaults.threshold,
+      refreshingOffset = MomentaMouse.#pullToRefreshDefaults.refreshingOffset,
+    } = {}
+  ) {
+    MomentaMouse.#validatePullToRefresh(pullToRefresh, {
+      threshold,
+      refreshingOffset,
+    });
+
+    if (!pullToRefresh) this.#endPullToRefresh();
+
+    this.#pullToRefresh = pullToRefresh;
+    this.#pullToRefreshThreshold = threshold;
+    this.#pullToRefreshRefreshingOffset = refreshingOffset;
+    return this;
+  }
+
+  static #pagingModeDefaults = {
+    pagingMode: false,
+    pageWidth: "auto",
+    pageHeight: "auto",
+    maxPagesPerFlick: 1,
+  };
+
+  static #validatePagingMode(
+    pagingMode = MomentaMouse.#pagingModeDefaults.pagingMode,
+    {
+      pageWidth = MomentaMouse.#pagingModeDefaults.pageWidth,
+      pageHeight = MomentaMouse.#pagingModeDefaults.pageHeight,
+      maxPagesPerFlick = MomentaMouse.#pagingModeDefaults.maxPagesPerFlick,
+    } = {}
+  ) {
+    validateArgument("pagingMode", pagingMode, {
+      allowedTypes: ["boolean"],
+    });
+    [
+      ["pageWidth", pageWidth],
+      ["pageHeight", pageHeight],
+    ].forEach(([pageSizeName, pageSize]) => {
+      if (pageSize === "auto") return;
+
+      validateArgument(pageSizeName, pageSize, {
+        allowedTypes: ["number"],
+        allowedMin: 1,
+        allowFiniteNumbersOnly: true,
+        customErrorMessage: `${pageSizeName} must be "auto" or a Number greater than or equal to 1`,
+      });
+    });
+    validateArgument("maxPagesPerFlick", maxPagesPerFlick, {
+      allowedTypes: ["number"],
+      allowedMin: 1,
+    });
+    validateArgument("maxPagesPerFlick", Number.isInteger(maxPagesPerFlick), {
+      allowedValues: [true],
+      customErrorMessage: "maxPagesPerFlick must be an integer",
+    });
+  }
 
-      stopHandlingOrScrollingIfNeeded({ interruptedBy: "Keydown" });
+  setPagingMode(
+    pagingMode = MomentaMouse.#pagingModeDefaults.pagingMode,
+    {
+      pageWidth = MomentaMouse.#pagingModeDefaults.pageWidth,
+      pageHeight = MomentaMouse.#pagingModeDefaults.pageHeight,
+      maxPagesPerFlick = MomentaMouse.#pagingModeDefaults.maxPagesPerFlick,
+    } = {}
+  ) {
+    MomentaMouse.#validatePagingMode(pagingMode, {
+      pageWidth,
+      pageHeight,
+      maxPagesPerFlick,
     });
 
-    this.#scrollContainer.addEventListener("mousedown", (event) => {
-      if (!this.#active) return;
+    this.#pagingMode = pagingMode;
+    this.#pageWidth = pageWidth;
+    this.#pageHeight = pageHeight;
+    this.#maxPagesPerFlick = maxPagesPerFlick;
+
+    [this.#pageIndexX, this.#pageIndexY] = this.#getCurrentPageIndices();
+    this.#recordPagingOrigin();
 
-      const wheelButtonClicked = event.button === 1;
-      if (!wheelButtonClicked) return;
+    return this;
+  }
 
-      stopHandlingOrScrollingIfNeeded({ interruptedBy: "Mouse middle button" });
+  flick({ velocityX = 0, velocityY = 0 } = {}) {
+    validateArgument("velocityX", velocityX, {
+      allowedTypes: ["number"],
+      allowFiniteNumbersOnly: true,
+    });
+    validateArgument("velocityY", velocityY, {
+      allowedTypes: ["number"],
+      allowFiniteNumbersOnly: true,
     });
 
-    this.#scrollContainer.addEventListener(
-      "smoothScrollerScrollStart",
-      (event) => {
-        if (!this.#active) return;
+    return this.#programmaticScroll(
+      { scrollInitialVelocityX: velocityX, scrollInitialVelocityY: velocityY },
+      { methodName: "flick" }
+    );
+  }
 
-        if (event.target !== this.#scrollContainer) return;
+  flickTo({
+    left = this.#scrollContainer.scrollLeft,
+    top = this.#scrollContainer.scrollTop,
+  } = {}) {
+    validateArgument("left", left, {
+      allowedTypes: ["number"],
+      allowFiniteNumbersOnly: true,
+    });
+    validateArgument("top", top, {
+      allowedTypes: ["number"],
+      allowFiniteNumbersOnly: true,
+    });
+    this.#verifyScrollDestinationsAreReachable();
 
-        if (this.#scrollResolve)
-          this.#stopScroll({
-            interruptedBy: "Other scroll",
-          });
-      }
+    return this.#programmaticScroll(
+      { scrollDestination: { left, top } },
+      { methodName: "flickTo" }
     );
+  }
 
-    this.#scrollContainer.addEventListener("dragstart", (event) => {
-      if (!this.#active) return;
-
-      event.preventDefault();
+  flickToElement(element, { block = "start", inline = "nearest" } = {}) {
+    validateArgument("element", element, {
+      allowedPrototypes: [Element],
+    });
+    validateArgument(
+      "element",
+      element !== this.#scrollContainer &&
+        this.#scrollContainer.contains(element),
+      {
+        allowedValues: [true],
+        customErrorMessage:
+          "element must be a descendant of the MomentaMouse instance's scroll container",
+      }
+    );
+    validateArgument("block", block, {
+      allowedValues: ["start", "center", "end", "nearest"],
     });
+    validateArgument("inline", inline, {
+      allowedValues: ["start", "center", "end", "nearest"],
+    });
+    this.#verifyScrollDestinationsAreReachable();
 
-    this.#pageProgression = ScrollContainerTools.getPageProgression(
-      this.#scrollContainer
+    return this.#programmaticScroll(
+      {
+        scrollDestination: this.#getScrollPositionOfElement(element, {
+          block,
+          inline,
+        }),
+      },
+      { methodName: "flickToElement" }
     );
   }
 
-  getScrollerData() {
-    return {
-      active: this.#active,
-      isCurrentlyHandlingPointer: this.#isCurrentlyHandlingPointer,
-      scrollableAxes: this.#getUpdatedScrollableAxes(),
-      scrollContainer: this.#scrollContainer,
-      scrolling: !!this.#scrollResolve,
-    };
+  #programmaticScroll(scrollArguments, { methodName }) {
+    if (this.#isCurrentlyHandlingPointer)
+      this.#undoPointerDownChanges({ interruptedBy: `${methodName} Method` });
+
+    this.#getUpdatedScrollableAxes();
+    this.#xAlreadyBounced = false;
+    this.#yAlreadyBounced = false;
+    this.#recordPagingOrigin();
+
+    return this.#scroll(scrollArguments);
   }
 
-  setDecelerationLevel(decelerationLevel = "medium") {
-    validateArgument("decelerationLevel", decelerationLevel, {
-      allowedValues: Array.from(this.#decelerationLevelToQuantityMap.keys()),
-    });
+  #overscrollBehaviorX = "auto";
+  #overscrollBehaviorY = "auto";
 
-    this.#decelerationLevel = decelerationLevel;
-    return this;
+  #getUpdatedOverscrollBehavior() {
+    const { overscrollBehaviorX, overscrollBehaviorY } = getComputedStyle(
+      this.#scrollContainer
+    );
+
+    this.#overscrollBehaviorX = overscrollBehaviorX;
+    this.#overscrollBehaviorY = overscrollBehaviorY;
   }
 
-  setBorderBouncinessLevel(borderBouncinessLevel = "medium") {
-    validateArgument("borderBouncinessLevel", borderBouncinessLevel, {
-      allowedValues: Array.from(
-        this.#borderBouncinessLevelToQuantityMap.keys()
-      ),
-    });
+  #borderBouncesOnAxis(axis) {
+    const overscrollBehavior =
+      axis === "x" ? this.#overscrollBehaviorX : this.#overscrollBehaviorY;
 
-    this.#borderBouncinessLevel = borderBouncinessLevel;
-    return this;
+    return (
+      !!this.#borderBounciness &&
+      this.#overscrollEffect !== "none" &&
+      overscrollBehavior === "auto" &&
+      !MomentaMouse.#reducedMotionIsActive()
+    );
   }
 
-  setGrabCursor(grabCursor = "grab") {
-    validateArgument("grabCursor", grabCursor, {
-      allowedTypes: ["string"],
-      customErrorMessage:
-        "grabCursor must be a String and should be appropriate for the CSS Cursor property (https://developer.mozilla.org/en-US/docs/Web/CSS/cursor)",
-    });
+  #getScrollChainingAncestor(axis) {
+    if (!this.#scrollChaining) return null;
+
+    this.#getUpdatedOverscrollBehavior();
+    const overscrollBehavior =
+      axis === "x" ? this.#overscrollBehaviorX : this.#overscrollBehaviorY;
+    if (overscrollBehavior !== "auto") return null;
+
+    let ancestor = this.#scrollContainer;
+    while ((ancestor = ancestor.parentElement || ancestor.getRootNode().host)) {
+      const scroller = MomentaMouse.#scrollerMap.get(ancestor);
+      if (!scroller || !scroller.#active) continue;
+
+      scroller.#getUpdatedScrollableAxes();
+      const ancestorAxisIsScrollable =
+        axis === "x"
+          ? scroller.#xAxisIsScrollable
+          : scroller.#yAxisIsScrollable;
+      if (ancestorAxisIsScrollable) return scroller;
+    }
+
+    return null;
+  }
 
+  #chainVelocity({
+    scrollChainingAncestorX = null,
+    velocityX = 0,
+    scrollChainingAncestorY = null,
+    velocityY = 0,
+  }) {
     if (
-      this.#allowReactiveCursor &&
-      !this.#isCurrentlyHandlingPointer &&
-      this.#active
+      scrollChainingAncestorX &&
+      scrollChainingAncestorX === scrollChainingAncestorY
     )
-      this.#scrollContainer.style.setProperty("cursor", grabCursor);
+      return scrollChainingAncestorX.#receiveChainedVelocity({
+        velocityX,
+        velocityY,
+      });
 
-    this.#grabCursor = grabCursor;
-    return this;
+    if (scrollChainingAncestorX)
+      scrollChainingAncestorX.#receiveChainedVelocity({ velocityX });
+    if (scrollChainingAncestorY)
+      scrollChainingAncestorY.#receiveChainedVelocity({ velocityY });
   }
 
-  setGrabbingCursor(grabbingCursor = "grabbing") {
-    validateArgument("grabbingCursor", grabbingCursor, {
-      allowedTypes: ["string"],
-      customErrorMessage:
-        "grabbingCursor must be a String and should be appropriate for the CSS Cursor property (https://developer.mozilla.org/en-US/docs/Web/CSS/cursor)",
+  #receiveChainedVelocity({ velocityX = 0, velocityY = 0 }) {
+    if (this.#scrollResolve) {
+      if (!velocityX && this.#scrollCurrentVelocityX)
+        velocityX = this.#scrollCurrentVelocityX;
+      if (!velocityY && this.#scrollCurrentVelocityY)
+        velocityY = this.#scrollCurrentVelocityY;
+    }
+
+    this.#getUpdatedScrollableAxes();
+    this.#xAlreadyBounced = false;
+    this.#yAlreadyBounced = false;
+    this.#recordPagingOrigin();
+
+    return this.#scroll({
+      scrollInitialVelocityX: velocityX,
+      scrollInitialVelocityY: velocityY,
     });
+  }
 
-    if (
-      this.#allowReactiveCursor &&
-      this.#isCurrentlyHandlingPointer &&
-      this.#active
-    )
-      this.#scrollContainer.style.setProperty("cursor", grabbingCursor);
+  #chainMovement({ movementX = 0, movementY = 0 }) {
+    if (this.#scrollResolve)
+      this.#stopScroll({ interruptedBy: "Scroll chaining" });
 
-    this.#grabbingCursor = grabbingCursor;
-    return this;
+    const { atLeftEdge, atRightEdge, atTopEdge, atBottomEdge } =
+      ScrollContainerTools.getEdgeStatus(this.#scrollContainer, {
+        cachedPageProgression: this.#pageProgression,
+      });
+
+    const scrollChainingAncestorX =
+      (atLeftEdge && movementX > 0) || (atRightEdge && movementX < 0)
+        ? this.#getScrollChainingAncestor("x")
+        : null;
+    const scrollChainingAncestorY =
+      (atTopEdge && movementY > 0) || (atBottomEdge && movementY < 0)
+        ? this.#getScrollChainingAncestor("y")
+        : null;
+
+    if (scrollChainingAncestorX) {
+      scrollChainingAncestorX.#chainMovement({ movementX });
+    } else if (!scrollChainingAncestorX) {
+      this.#scrollContainer.scrollLeft -= movementX;
+    }
+
+    if (scrollChainingAncestorY) {
+      scrollChainingAncestorY.#chainMovement({ movementY });
+    } else if (!scrollChainingAncestorY) {
+      this.#scrollContainer.scrollTop -= movementY;
+    }
   }
 
-  setAllowReactiveCursor(allowReactiveCursor = true) {
-    validateArgument("allowReactiveCursor", allowReactiveCursor, {
-      allowedTypes: ["boolean"],
+  #verifyScrollDestinationsAreReachable() {
+    validateArgument("physicsModel", this.#scrollDestinationsAreReachable(), {
+      allowedValues: [true],
+      customErrorMessage:
+        "Scrolling to a destination requires a physics model and deceleration that bring momentum scrolls to rest",
     });
+  }
 
-    if (allowReactiveCursor && this.#active) {
-      if (this.#isCurrentlyHandlingPointer) {
-        this.#scrollContainer.style.setProperty("cursor", this.#grabbingCursor);
-      } else if (!this.#isCurrentlyHandlingPointer) {
-        this.#scrollContainer.style.setProperty("cursor", this.#grabCursor);
+  #scrollDestinationsAreReachable() {
+    return Number.isFinite(
+      this.#getPhysicsModelDistance(this.#getPhysicsModel(), 1)
+    );
+  }
+
+  #getInitialVelocityForScrollDistance(scrollDistance) {
+    const physicsModel = this.#getPhysicsModel();
+
+    if (typeof physicsModel.getInitialVelocity === "function")
+      return physicsModel.getInitialVelocity(scrollDistance);
+
+    if (!scrollDistance) return 0;
+
+    let lowerVelocity = 0;
+    let upperVelocity = 1;
+    for (
+      let i = 0;
+      i < 64 &&
+      this.#getPhysicsModelDistance(physicsModel, upperVelocity) <
+        scrollDistance;
+      i++
+    ) {
+      lowerVelocity = upperVelocity;
+      upperVelocity *= 2;
+    }
+
+    for (let i = 0; i < 64; i++) {
+      const velocity = (lowerVelocity + upperVelocity) / 2;
+      if (velocity === lowerVelocity || velocity === upperVelocity) break;
+
+      if (
+        this.#getPhysicsModelDistance(physicsModel, velocity) < scrollDistance
+      ) {
+        lowerVelocity = velocity;
+      } else {
+        upperVelocity = velocity;
       }
-    } else if (!allowReactiveCursor) {
-      this.#scrollContainer.style.removeProperty("cursor");
     }
 
-    this.#allowReactiveCursor = allowReactiveCursor;
-    return this;
+    return upperVelocity;
   }
 
-  setAllowHorizontalScrolling(allowHorizontalScrolling = true) {
-    validateArgument("allowHorizontalScrolling", allowHorizontalScrolling, {
-      allowedTypes: ["boolean"],
-    });
+  #getProjectedScrollPosition(currentPosition, axisInitialVelocity) {
+    if (!axisInitialVelocity) return currentPosition;
 
-    this.#allowHorizontalScrolling = allowHorizontalScrolling;
-    return this;
+    const initialVelocity = Math.hypot(
+      this.#scrollInitialVelocityX,
+      this.#scrollInitialVelocityY
+    );
+
+    return (
+      currentPosition -
+      (axisInitialVelocity / initialVelocity) *
+        this.#getPhysicsModelDistance(this.#getPhysicsModel(), initialVelocity)
+    );
   }
 
-  setAllowVerticalScrolling(allowVerticalScrolling = true) {
-    validateArgument("allowVerticalScrolling", allowVerticalScrolling, {
-      allowedTypes: ["boolean"],
-    });
+  #edgeApproachDistance = 200;
+  #approachedEdges = new Set();
+  #reachedEdges = new Set();
 
-    this.#allowVerticalScrolling = allowVerticalScrolling;
-    return this;
+  #updateEdgeProximity({ dispatchEvents = true } = {}) {
+    const { minLeft, maxLeft, minTop, maxTop } =
+      this.#getScrollPositionLimits();
+    const { scrollLeft, scrollTop } = this.#scrollContainer;
+    const { atLeftEdge, atRightEdge, atTopEdge, atBottomEdge } =
+      ScrollContainerTools.getEdgeStatus(this.#scrollContainer, {
+        cachedPageProgression: this.#pageProgression,
+      });
+
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const projectedLeft = Number.isNaN(this.#scrollProjectedLeft)
+      ? scrollLeft
+      : clamp(this.#scrollProjectedLeft, minLeft, maxLeft);
+    const projectedTop = Number.isNaN(this.#scrollProjectedTop)
+      ? scrollTop
+      : clamp(this.#scrollProjectedTop, minTop, maxTop);
+
+    const edges = [
+      {
+        edge: "left",
+        axisIsScrollable: this.#xAxisIsScrollable,
+        distance: scrollLeft - minLeft,
+        projectedDistance: projectedLeft - minLeft,
+        atEdge: atLeftEdge,
+      },
+      {
+        edge: "right",
+        axisIsScrollable: this.#xAxisIsScrollable,
+        distance: maxLeft - scrollLeft,
+        projectedDistance: maxLeft - projectedLeft,
+        atEdge: atRightEdge,
+      },
+      {
+        edge: "top",
+        axisIsScrollable: this.#yAxisIsScrollable,
+        distance: scrollTop - minTop,
+        projectedDistance: projectedTop - minTop,
+        atEdge: atTopEdge,
+      },
+      {
+        edge: "bottom",
+        axisIsScrollable: this.#yAxisIsScrollable,
+        distance: maxTop - scrollTop,
+        projectedDistance: maxTop - projectedTop,
+        atEdge: atBottomEdge,
+      },
+    ];
+
+    edges.forEach(
+      ({ edge, axisIsScrollable, distance, projectedDistance, atEdge }) => {
+        const approachingEdge =
+          axisIsScrollable &&
+          Math.min(distance, projectedDistance) <= this.#edgeApproachDistance;
+
+        if (approachingEdge && !this.#approachedEdges.has(edge)) {
+          this.#approachedEdges.add(edge);
+
+          if (dispatchEvents)
+            this.#scrollContainer.dispatchEvent(
+              new CustomEvent("momentaMouseScrollerEdgeApproach", {
+                bubbles: true,
+                detail: {
+                  scrollContainer: this.#scrollContainer,
+                  edge,
+                  distance: Math.max(distance, 0),
+                  projectedDistance: Math.max(projectedDistance, 0),
+                },
+              })
+            );
+        } else if (!approachingEdge) {
+          this.#approachedEdges.delete(edge);
+        }
+
+        const reachedEdge = axisIsScrollable && atEdge;
+
+        if (reachedEdge && !this.#reachedEdges.has(edge)) {
+          this.#reachedEdges.add(edge);
+
+          if (dispatchEvents)
+            this.#scrollContainer.dispatchEvent(
+              new CustomEvent("momentaMouseScrollerEdgeReach", {
+                bubbles: true,
+                detail: { scrollContainer: this.#scrollContainer, edge },
+              })
+            );
+        } else if (!reachedEdge) {
+          this.#reachedEdges.delete(edge);
+        }
+      }
+    );
+  }
+
+  #getScrollPositionLimits() {
+    const maxScrollLeft =
+      this.#scrollContainer.scrollWidth - this.#scrollContainer.clientWidth;
+    const maxScrollTop =
+      this.#scrollContainer.scrollHeight - this.#scrollContainer.clientHeight;
+
+    const scrollLeftIsNegative = this.#pageProgression === "right-to-left";
+
+    return {
+      minLeft: scrollLeftIsNegative ? -maxScrollLeft : 0,
+      maxLeft: scrollLeftIsNegative ? 0 : maxScrollLeft,
+      minTop: 0,
+      maxTop: maxScrollTop,
+    };
+  }
+
+  #getScrollPositionOfElement(element, { block, inline }) {
+    const elementRect = element.getBoundingClientRect();
+
+    const scrollContainerIsRoot =
+      this.#scrollContainer === document.documentElement;
+    const contentIsOffsetByOverscroll =
+      this.#overscrollEffect === "bounce" &&
+      (scrollContainerIsRoot
+        ? this.#overscrollStrategy !== "custom-properties"
+        : this.#overscrollStrategy === "wrapper");
+    const overscrollOffsetX = contentIsOffsetByOverscroll
+      ? this.#bounceCurrentTranslateX
+      : 0;
+    const overscrollOffsetY = contentIsOffsetByOverscroll
+      ? this.#bounceCurrentTranslateY
+      : 0;
+    const { left: scrollContainerLeft, top: scrollContainerTop } =
+      scrollContainerIsRoot
+        ? { left: 0, top: 0 }
+        : this.#scrollContainer.getBoundingClientRect();
+    const scrollContainerRect = {
+      left: scrollContainerLeft + overscrollOffsetX,
+      top: scrollContainerTop + overscrollOffsetY,
+    };
+
+    const scrollportLeft =
+      scrollContainerRect.left +
+      (scrollContainerIsRoot ? 0 : this.#scrollContainer.clientLeft);
+    const scrollportTop =
+      scrollContainerRect.top +
+      (scrollContainerIsRoot ? 0 : this.#scrollContainer.clientTop);
+
+    const getScrollPositionChange = (
+      alignment,
+      elementStart,
+      elementEnd,
+      scrollportStart,
+      scrollportEnd
+    ) => {
+      const startOffset = elementStart - scrollportStart;
+      const endOffset = elementEnd - scrollportEnd;
+
+      if (alignment === "start") return startOffset;
+      if (alignment === "end") return endOffset;
+      if (alignment === "center") return (startOffset + endOffset) / 2;
+
+      const elementIsFullyVisible = startOffset >= 0 && endOffset <= 0;
+      if (elementIsFullyVisible) return 0;
+
+      return Math.abs(startOffset) < Math.abs(endOffset)
+        ? startOffset
+        : endOffset;
+    };
+
+    return {
+      left:
+        this.#scrollContainer.scrollLeft +
+        getScrollPositionChange(
+          inline,
+          elementRect.left,
+          elementRect.right,
+          scrollportLeft,
+          scrollportLeft + this.#scrollContainer.clientWidth
+        ),
+      top:
+        this.#scrollContainer.scrollTop +
+        getScrollPositionChange(
+          block,
+          elementRect.top,
+          elementRect.bottom,
+          scrollportTop,
+          scrollportTop + this.#scrollContainer.clientHeight
+        ),
+    };
   }
 
   #active = false;
 
   activate({ reason } = {}) {
-    if (this.#active) return;
+    if (this.#active || this.#destroyed) return;
 
-    if (!Heuristics.getDeviceHeuristics().hasMouseOrTouchpad) return;
+    if (!MomentaMouse.#allowedPointerTypeIsAvailable()) return;
 
     if (reason === "Quick toggle key" && !this.#quickToggleDeactivation) return;
 
+    if (
+      reason === "Allowed pointer types change" &&
+      !this.#pointerTypeAvailabilityDeactivation
+    )
+      return;
+
     this.#quickToggleDeactivation = false;
+    this.#pointerTypeAvailabilityDeactivation = false;
 
     if (this.#allowReactiveCursor)
       this.#scrollContainer.style.setProperty("cursor", this.#grabCursor);
     this.#scrollContainer.style.setProperty("-webkit-user-select", "none");
     this.#scrollContainer.style.setProperty("user-select", "none");
     this.#active = true;
+    this.#updateTouchAction();
 
     this.#scrollContainer.dispatchEvent(
       new CustomEvent("momentaMouseScrollerActivate", {
@@ -928,11 +3363,17 @@ class MomentaMouse {
   }
 
   #quickToggleDeactivation = false;
+  #pointerTypeAvailabilityDeactivation = false;
 
   deactivate({ reason } = {}) {
     if (!this.#active) return;
 
     if (reason === "Quick toggle key") this.#quickToggleDeactivation = true;
+    if (
+      reason === "Allowed pointer types change" ||
+      reason === "Mouse not available"
+    )
+      this.#pointerTypeAvailabilityDeactivation = true;
 
     if (this.#scrollResolve)
       this.#stopScroll({
@@ -947,6 +3388,7 @@ class MomentaMouse {
     this.#scrollContainer.style.removeProperty("-webkit-user-select");
     this.#scrollContainer.style.removeProperty("user-select");
     this.#active = false;
+    this.#updateTouchAction();
 
     this.#scrollContainer.dispatchEvent(
       new CustomEvent("momentaMouseScrollerDeactivate", {
@@ -958,6 +3400,23 @@ class MomentaMouse {
     return this;
   }
 
+  #touchActionIsOverridden = false;
+
+  #updateTouchAction() {
+    const penOrTouchIsAllowed =
+      MomentaMouse.#allowedPointerTypes.includes("pen") ||
+      MomentaMouse.#allowedPointerTypes.includes("touch");
+    const touchActionShouldBeOverridden = this.#active && penOrTouchIsAllowed;
+
+    if (touchActionShouldBeOverridden) {
+      this.#scrollContainer.style.setProperty("touch-action", "none");
+      this.#touchActionIsOverridden = true;
+    } else if (this.#touchActionIsOverridden) {
+      this.#restoreOriginalInlineStyles(["touch-action"]);
+      this.#touchActionIsOverridden = false;
+    }
+  }
+
   toggleActivation() {
     if (this.#active) {
       return this.deactivate({ reason: "toggleActivation Method" });
@@ -966,7 +3425,69 @@ class MomentaMouse {
     }
   }
 
+  destroy() {
+    if (this.#destroyed) return this;
+
+    this.deactivate({ reason: "MomentaMouse scroller destruction" });
+
+    if (this.#scrollResolve)
+      this.#stopScroll({
+        interruptedBy: "MomentaMouse scroller destruction",
+      });
+
+    this.#undoPointerDownChanges({
+      interruptedBy: "MomentaMouse scroller destruction",
+    });
+
+    if (this.#bounceResolve)
+      this.#stopBounce({
+        interruptedBy: "MomentaMouse scroller destruction",
+      });
+
+    // A pending refresh must not bounce the destroyed instance once it settles
+    this.#pullToRefreshRefreshing = false;
+    this.#pullToRefreshCount++;
+    this.#bounceEquilibriumY = 0;
+    this.#bounceCurrentTranslateX = 0;
+    this.#bounceCurrentTranslateY = 0;
+    this.#removeOverscrollStrategy();
+    if (this.#overscrollGlow) this.#overscrollGlow.remove();
+
+    this.#destroyAbortController.abort();
+    if (this.#contextMenuSuppressionAbortController)
+      this.#contextMenuSuppressionAbortController.abort();
+
+    this.#scrollContainer.classList.remove("momenta-mouse-scroller");
+
+    if (this.#originalTabIndex === null) {
+      this.#scrollContainer.removeAttribute("tabindex");
+    } else if (this.#originalTabIndex !== null) {
+      this.#scrollContainer.setAttribute("tabindex", this.#originalTabIndex);
+    }
+
+    this.#restoreOriginalInlineStyles(
+      Array.from(this.#originalInlineStyles.keys())
+    );
+
+    MomentaMouse.#scrollerMap.delete(this.#scrollContainer);
+    MomentaMouse.#autoCreatedScrollContainers.delete(this.#scrollContainer);
+    this.#destroyed = true;
+
+    if (!MomentaMouse.#scrollerMap.size) MomentaMouse.#uninitialize();
+
+    this.#scrollContainer.dispatchEvent(
+      new CustomEvent("momentaMouseScrollerDestroy", {
+        bubbles: true,
+        detail: { scrollContainer: this.#scrollContainer },
+      })
+    );
+
+    return this;
+  }
+
   #isCurrentlyHandlingPointer;
+  #contextMenuSuppressionAbortController;
+  #dragButton;
   #pointerId;
   #pointerMoveLog = [];
   #pointerMoveUpCancelAbortController = new AbortController();
@@ -996,12 +3517,48 @@ class MomentaMouse {
     return this.#scrollableAxes;
   }
 
-  #pointerDownHandler(event) {
+  #suppressNextContextMenu() {
+    if (this.#contextMenuSuppressionAbortController)
+      this.#contextMenuSuppressionAbortController.abort();
+
+    const contextMenuSuppressionAbortController = new AbortController();
+    this.#contextMenuSuppressionAbortController =
+      contextMenuSuppressionAbortController;
+
+    // Some platforms dispatch contextmenu after pointerup
+    addEventListener(
+      "contextmenu",
+      (event) => {
+        event.preventDefault();
+        contextMenuSuppressionAbortController.abort();
+      },
+      { capture: true, signal: contextMenuSuppressionAbortController.signal }
+    );
+
+    // Others dispatch it on pointerdown, so it will not follow this drag and
+    // must not be left to swallow a later one, such as one opened with the
+    // keyboard
+    ["pointerup", "pointercancel"].forEach((eventType) =>
+      addEventListener(
+        eventType,
+        () => setTimeout(() => contextMenuSuppressionAbortController.abort()),
+        { capture: true, signal: contextMenuSuppressionAbortController.signal }
+      )
+    );
+    addEventListener(
+      "pointerdown",
+      () => contextMenuSuppressionAbortController.abort(),
+      { capture: true, signal: contextMenuSuppressionAbortController.signal }
+    );
+  }
+
+  #pointerDownHandler(event, { routingThresholdCrossed = false } = {}) {
     if (!this.#active) return;
 
     this.#scrollContainer.dispatchEvent(
       new CustomEvent("momentaMouseScrollerPointerHandlingStart", {
         bubbles: true,
+        composed: true,
         detail: { scrollContainer: this.#scrollContainer },
       })
     );
@@ -1009,11 +3566,30 @@ class MomentaMouse {
     this.#isCurrentlyHandlingPointer = true;
     this.#pointerId = event.pointerId;
     this.#scrollContainer.setPointerCapture(event.pointerId);
+    this.#dragButton = MomentaMouse.#pointerButtonsToDragButtonMap.get(
+      event.buttons
+    );
+
+    const pointerStartingPointX = event.clientX;
+    const pointerStartingPointY = event.clientY;
+    const { threshold: contextMenuSuppressionThreshold } =
+      MomentaMouse.#getRoutingThreshold(this.#scrollContainer);
+    let contextMenuSuppressionIsNeeded = this.#dragButton === "secondary";
+
+    if (contextMenuSuppressionIsNeeded && routingThresholdCrossed) {
+      this.#suppressNextContextMenu();
+      contextMenuSuppressionIsNeeded = false;
+    }
 
     if (this.#scrollResolve)
-      this.#stopScroll({
-        interruptedBy: "Pointer down on scroll container",
-      });
+      this.#stopScroll(
+        {
+          interruptedBy: "Pointer down on scroll container",
+        },
+        { willContinueScrolling: true }
+      );
+
+    this.#suspendScrollSnapping();
 
     if (this.#bounceResolve)
       this.#stopBounce({
@@ -1030,21 +3606,42 @@ class MomentaMouse {
 
     this.#xAlreadyBounced = false;
     this.#yAlreadyBounced = false;
-    const bounciness = this.#borderBouncinessLevelToQuantityMap.get(
-      this.#borderBouncinessLevel
-    );
+    this.#recordPagingOrigin();
+    this.#getUpdatedOverscrollBehavior();
+    const scrollChainingAncestorX = this.#getScrollChainingAncestor("x");
+    const scrollChainingAncestorY = this.#getScrollChainingAncestor("y");
+    const bounceX = this.#borderBouncesOnAxis("x");
+    const bounceY = this.#borderBouncesOnAxis("y");
+    const bounceResistance = this.#borderBounciness
+      ? 10 * Math.sqrt(this.#borderBounciness.stiffness)
+      : NaN;
 
     this.#pointerMoveUpCancelAbortController = new AbortController();
 
     ["pointerup", "pointercancel"].forEach((eventType) =>
       this.#scrollContainer.addEventListener(
         eventType,
-        (event) => this.#pointerUpHandler(event),
+        (event) => {
+          if (event.pointerId !== this.#pointerId) return;
+
+          this.#pointerUpHandler(event);
+        },
         { signal: this.#pointerMoveUpCancelAbortController.signal }
       )
     );
 
     const processPointerMove = (event) => {
+      if (
+        contextMenuSuppressionIsNeeded &&
+        (Math.abs(event.clientX - pointerStartingPointX) >
+          contextMenuSuppressionThreshold ||
+          Math.abs(event.clientY - pointerStartingPointY) >
+            contextMenuSuppressionThreshold)
+      ) {
+        this.#suppressNextContextMenu();
+        contextMenuSuppressionIsNeeded = false;
+      }
+
       if (this.#xAxisIsScrollable) {
         movementX = event.screenX - previousScreenX;
         previousScreenX = event.screenX;
@@ -1062,18 +3659,44 @@ class MomentaMouse {
       const resetTranslateX = () => (this.#bounceCurrentTranslateX = 0);
       const resetTranslateY = () => (this.#bounceCurrentTranslateY = 0);
 
-      if (this.#borderBouncinessLevel !== "none") {
+      if (scrollChainingAncestorX || scrollChainingAncestorY) {
+        const { atLeftEdge, atRightEdge, atTopEdge, atBottomEdge } =
+          ScrollContainerTools.getEdgeStatus(this.#scrollContainer, {
+            cachedPageProgression: this.#pageProgression,
+          });
+
+        const chainHorizontalMovement =
+          scrollChainingAncestorX &&
+          ((atLeftEdge && movementX > 0) || (atRightEdge && movementX < 0));
+        const chainVerticalMovement =
+          scrollChainingAncestorY &&
+          ((atTopEdge && movementY > 0) || (atBottomEdge && movementY < 0));
+
+        if (chainHorizontalMovement) {
+          scrollChainingAncestorX.#chainMovement({ movementX });
+          movementX = 0;
+        }
+
+        if (chainVerticalMovement) {
+          scrollChainingAncestorY.#chainMovement({ movementY });
+          movementY = 0;
+        }
+      }
+
+      if (bounceX || bounceY) {
         const { atLeftEdge, atRightEdge, atTopEdge, atBottomEdge } =
           ScrollContainerTools.getEdgeStatus(this.#scrollContainer, {
             cachedPageProgression: this.#pageProgression,
           });
 
         const tryingToScrollBeyondHorizontalEdge =
-          (atLeftEdge && this.#bounceCurrentTranslateX + movementX > 0) ||
-          (atRightEdge && this.#bounceCurrentTranslateX + movementX < 0);
+          bounceX &&
+          ((atLeftEdge && this.#bounceCurrentTranslateX + movementX > 0) ||
+            (atRightEdge && this.#bounceCurrentTranslateX + movementX < 0));
         const tryingToScrollBeyondVerticalEdge =
-          (atBottomEdge && this.#bounceCurrentTranslateY + movementY < 0) ||
-          (atTopEdge && this.#bounceCurrentTranslateY + movementY > 0);
+          bounceY &&
+          ((atBottomEdge && this.#bounceCurrentTranslateY + movementY < 0) ||
+            (atTopEdge && this.#bounceCurrentTranslateY + movementY > 0));
 
         const getCurrentTranslate = (currentTranslate, movement) =>
           currentTranslate +
@@ -1082,7 +3705,7 @@ class MomentaMouse {
             ? movement /
               Math.pow(
                 Math.E,
-                10 * bounciness * Math.abs(currentTranslate + movement)
+                bounceResistance * Math.abs(currentTranslate + movement)
               )
             : movement);
 
@@ -1112,7 +3735,7 @@ class MomentaMouse {
         }
 
         this.#updateBouncePosition();
-      } else if (this.#borderBouncinessLevel === "none") {
+      } else if (!bounceX && !bounceY) {
         resetTranslateX();
         resetTranslateY();
         updateScrollLeft();
@@ -1128,34 +3751,46 @@ class MomentaMouse {
 
     this.#scrollContainer.addEventListener(
       "pointermove",
-      (event) =>
+      (event) => {
+        if (event.pointerId !== this.#pointerId) return;
+
         this.#useCoalescedEvents
           ? event
               .getCoalescedEvents()
               .forEach((event) => processPointerMove(event))
-          : processPointerMove(event),
+          : processPointerMove(event);
+      },
       { signal: this.#pointerMoveUpCancelAbortController.signal }
     );
   }
 
-  #undoPointerDownChanges({ delayCursorChangeFor, interruptedBy = null } = {}) {
+  #undoPointerDownChanges({
+    delayCursorChangeFor,
+    interruptedBy = null,
+    willContinueScrolling = false,
+  } = {}) {
     if (!this.#isCurrentlyHandlingPointer) return;
 
+    if (!willContinueScrolling) this.#resumeScrollSnapping();
+
     this.#scrollContainer.dispatchEvent(
       new CustomEvent("momentaMouseScrollerPointerHandlingStop", {
         bubbles: true,
+        composed: true,
         detail: { scrollContainer: this.#scrollContainer, interruptedBy },
       })
     );
 
     this.#pointerMoveUpCancelAbortController.abort();
 
-    if (this.#pointerId)
+    if (this.#scrollContainer.hasPointerCapture(this.#pointerId))
       this.#scrollContainer.releasePointerCapture(this.#pointerId);
 
     this.#isCurrentlyHandlingPointer = false;
     this.#pointerId = null;
 
+    this.#dragButton = null;
+
     if (this.#allowReactiveCursor) {
       if (!delayCursorChangeFor) {
         this.#scrollContainer.style.setProperty("cursor", this.#grabCursor);
@@ -1173,7 +3808,7 @@ class MomentaMouse {
       }
     }
 
-    if (this.#borderBouncinessLevel === "none") return;
+    if (!this.#borderBounciness) return;
 
     const needsToBounceBack =
       this.#bounceCurrentTranslateX || this.#bounceCurrentTranslateY;
@@ -1182,54 +3817,74 @@ class MomentaMouse {
   }
 
   #pointerUpHandler(event) {
-    this.#undoPointerDownChanges();
+    if (event.type === "pointerup") this.#startPullToRefreshIfNeeded();
+    this.#undoPointerDownChanges({ willContinueScrolling: true });
 
     const endTime = event.timeStamp;
+    let chainedVelocityX = 0;
+    let chainedVelocityY = 0;
 
     const getVelocity = (axis, endPosition) => {
       const meetsMomentumScrollCriteria =
         this.#pointerMoveLog.length > 0 &&
         endTime - this.#pointerMoveLog[this.#pointerMoveLog.length - 1][2] <
-          100;
+          this.#staleSampleCutoff;
 
       if (!meetsMomentumScrollCriteria) return 0;
 
       const axisIndex = axis === "x" ? 0 : 1;
 
-      for (let i = 1; i < 5; i++) {
-        if (this.#pointerMoveLog.length < i) return 0;
-
-        const startPosition =
-          this.#pointerMoveLog[this.#pointerMoveLog.length - i][axisIndex];
-        const startTime =
-          this.#pointerMoveLog[this.#pointerMoveLog.length - i][2];
-
-        const positionChange = endPosition - startPosition;
-        const timeChange = endTime - startTime;
+      // recent-delta ignores sampleWindow to keep its original behavior
+      const pointerMoves =
+        this.#velocityEstimator === "recent-delta"
+          ? this.#pointerMoveLog.slice(-4)
+          : this.#pointerMoveLog.filter(
+              (pointerMove) => endTime - pointerMove[2] <= this.#sampleWindow
+            );
 
-        if (positionChange && timeChange) {
-          const velocity = positionChange / timeChange;
+      const samples = pointerMoves.map((pointerMove) => ({
+        position: pointerMove[axisIndex],
+        time: pointerMove[2],
+      }));
+      samples.push({ position: endPosition, time: endTime });
+
+      let velocity = 0;
+      if (typeof this.#velocityEstimator === "string") {
+        velocity = MomentaMouse.#velocityEstimators.get(
+          this.#velocityEstimator
+        )(samples);
+      } else if (typeof this.#velocityEstimator === "object") {
+        try {
+          velocity = this.#velocityEstimator.getVelocity(samples);
+        } catch (error) {
+          reportError(error);
+        }
+      }
 
-          const { atLeftEdge, atRightEdge, atTopEdge, atBottomEdge } =
-            ScrollContainerTools.getEdgeStatus(this.#scrollContainer, {
-              cachedPageProgression: this.#pageProgression,
-            });
+      if (!velocity || !Number.isFinite(velocity)) return 0;
 
-          if (axis === "x") {
-            const tryingToScrollBeyondHorizontalEdge =
-              (atLeftEdge && velocity > 0) || (atRightEdge && velocity < 0);
-            if (tryingToScrollBeyondHorizontalEdge) return 0;
-          } else if (axis === "y") {
-            const tryingToScrollBeyondVerticalEdge =
-              (atTopEdge && velocity > 0) || (atBottomEdge && velocity < 0);
-            if (tryingToScrollBeyondVerticalEdge) return 0;
-          }
+      const { atLeftEdge, atRightEdge, atTopEdge, atBottomEdge } =
+        ScrollContainerTools.getEdgeStatus(this.#scrollContainer, {
+          cachedPageProgression: this.#pageProgression,
+        });
 
-          return velocity;
+      if (axis === "x") {
+        const tryingToScrollBeyondHorizontalEdge =
+          (atLeftEdge && velocity > 0) || (atRightEdge && velocity < 0);
+        if (tryingToScrollBeyondHorizontalEdge) {
+          chainedVelocityX = velocity;
+          return 0;
+        }
+      } else if (axis === "y") {
+        const tryingToScrollBeyondVerticalEdge =
+          (atTopEdge && velocity > 0) || (atBottomEdge && velocity < 0);
+        if (tryingToScrollBeyondVerticalEdge) {
+          chainedVelocityY = velocity;
+          return 0;
         }
       }
 
-      return 0;
+      return velocity;
     };
 
     let endPositionX;
@@ -1251,6 +3906,17 @@ class MomentaMouse {
       scrollInitialVelocityY,
     });
 
+    this.#chainVelocity({
+      scrollChainingAncestorX: chainedVelocityX
+        ? this.#getScrollChainingAncestor("x")
+        : null,
+      velocityX: chainedVelocityX,
+      scrollChainingAncestorY: chainedVelocityY
+        ? this.#getScrollChainingAncestor("y")
+        : null,
+      velocityY: chainedVelocityY,
+    });
+
     this.#pointerMoveLog = [];
   }
 
@@ -1261,7 +3927,6 @@ class MomentaMouse {
   #previousScrollStopTimestamp = NaN;
   #scrollCurrentVelocityX = NaN;
   #scrollCurrentVelocityY = NaN;
-  #scrollDeceleration = NaN;
   #scrollDuration = NaN;
   #scrollElapsedTime = NaN;
   #scrollEndingPointX = NaN;
@@ -1271,15 +3936,21 @@ class MomentaMouse {
   #scrollInitialVelocityXMultiplier = 1;
   #scrollInitialVelocityY = NaN;
   #scrollInitialVelocityYMultiplier = 1;
+  #scrollPhysicsModel = null;
+  #scrollProjectedLeft = NaN;
+  #scrollProjectedTop = NaN;
   #scrollRafId;
   #scrollResolve;
   #scrollStartingPointX = NaN;
   #scrollStartingPointY = NaN;
   #scrollStartTime = NaN;
+  #scrollVelocityMultiplierX = NaN;
+  #scrollVelocityMultiplierY = NaN;
 
   #scroll({
     scrollInitialVelocityX = 0,
     scrollInitialVelocityY = 0,
+    scrollDestination = null,
     currentTime = NaN,
   }) {
     const { atLeftEdge, atRightEdge, atTopEdge, atBottomEdge } =
@@ -1299,17 +3970,29 @@ class MomentaMouse {
       });
 
       if (this.#scrollResolve)
-        this.#stopScroll({ interruptedBy: "New momentum scroll" });
+        this.#stopScroll(
+          { interruptedBy: "New momentum scroll" },
+          { willContinueScrolling: true }
+        );
+
+      this.#suspendScrollSnapping();
+      this.#getUpdatedOverscrollBehavior();
+
+      if (!this.#xAxisIsScrollable) scrollInitialVelocityX = 0;
+      if (!this.#yAxisIsScrollable) scrollInitialVelocityY = 0;
 
       const scrollStartTimestamp = Date.now();
       const timeSincePreviousScrollStart =
         scrollStartTimestamp - this.#previousScrollStartTimestamp;
-      const halfOfPreviousScrollDuration = 0.5 * this.#previousScrollDuration;
+      const fractionOfPreviousScrollDuration =
+        this.#successiveFlickPreviousDurationFraction *
+        this.#previousScrollDuration;
       const timeSincePreviousScrollStop =
         scrollStartTimestamp - this.#previousScrollStopTimestamp;
       const scrollMeetsMultiplierTimingCriteria =
-        timeSincePreviousScrollStart < halfOfPreviousScrollDuration &&
-        timeSincePreviousScrollStop < 500;
+        timeSincePreviousScrollStart < fractionOfPreviousScrollDuration &&
+        timeSincePreviousScrollStop <
+          this.#successiveFlickMaxTimeSincePreviousStop;
 
       const getInitialVelocityMultiplier = (
         scrollDirection,
@@ -1318,7 +4001,12 @@ class MomentaMouse {
         edge2,
         initialVelocityMultiplier
       ) => {
-        if (scrollDirection === 0) return 1;
+        if (
+          scrollDirection === 0 ||
+          scrollDestination ||
+          !this.#successiveFlickMultiplier
+        )
+          return 1;
 
         const scrollDirectionXMatchesPreviousScrollDirectionX =
           scrollDirection === previousScrollDirection;
@@ -1328,7 +4016,12 @@ class MomentaMouse {
           scrollDirectionXMatchesPreviousScrollDirectionX &&
           scrollMeetsMultiplierTimingCriteria;
 
-        return allMultiplierCriteriaMet ? initialVelocityMultiplier + 1 : 1;
+        return allMultiplierCriteriaMet
+          ? Math.min(
+              initialVelocityMultiplier + 1,
+              this.#successiveFlickMaxMultiplier
+            )
+          : 1;
       };
 
       const scrollDirectionX = Math.sign(scrollInitialVelocityX);
@@ -1354,33 +4047,83 @@ class MomentaMouse {
       this.#previousScrollDirectionY = scrollDirectionY;
       this.#previousScrollStartTimestamp = scrollStartTimestamp;
 
+      this.#scrollVelocityMultiplierX = this.#scrollInitialVelocityXMultiplier;
+      this.#scrollVelocityMultiplierY = this.#scrollInitialVelocityYMultiplier;
       this.#scrollInitialVelocityX =
         scrollInitialVelocityX * this.#scrollInitialVelocityXMultiplier;
       this.#scrollInitialVelocityY =
         scrollInitialVelocityY * this.#scrollInitialVelocityYMultiplier;
 
+      if (!scrollDestination && this.#pagingMode) {
+        scrollDestination = this.#getPagingDestination();
+      } else if (!scrollDestination && this.#scrollSnapType !== "none") {
+        scrollDestination = this.#getScrollSnapDestination();
+        if (scrollDestination)
+          this.#scrollSnapTarget = scrollDestination.snapTarget;
+      }
+
+      if (scrollDestination) {
+        const { minLeft, maxLeft, minTop, maxTop } =
+          this.#getScrollPositionLimits();
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+        const scrollDistanceX = this.#xAxisIsScrollable
+          ? this.#scrollContainer.scrollLeft -
+            clamp(scrollDestination.left, minLeft, maxLeft)
+          : 0;
+        const scrollDistanceY = this.#yAxisIsScrollable
+          ? this.#scrollContainer.scrollTop -
+            clamp(scrollDestination.top, minTop, maxTop)
+          : 0;
+        const scrollDistance = Math.hypot(scrollDistanceX, scrollDistanceY);
+
+        const scrollInitialVelocity =
+          this.#getInitialVelocityForScrollDistance(scrollDistance);
+
+        this.#scrollInitialVelocityX = scrollDistance
+          ? scrollInitialVelocity * (scrollDistanceX / scrollDistance)
+          : 0;
+        this.#scrollInitialVelocityY = scrollDistance
+          ? scrollInitialVelocity * (scrollDistanceY / scrollDistance)
+          : 0;
+      }
+
       this.#scrollInitialVelocity = Math.hypot(
         this.#scrollInitialVelocityX,
         this.#scrollInitialVelocityY
       );
 
-      this.#scrollDeceleration = this.#decelerationLevelToQuantityMap.get(
-        this.#decelerationLevel
-      );
+      this.#scrollPhysicsModel = this.#getPhysicsModel();
 
-      this.#scrollDuration =
-        this.#scrollInitialVelocity / this.#scrollDeceleration;
+      this.#scrollDuration = this.#getPhysicsModelDuration(
+        this.#scrollPhysicsModel,
+        this.#scrollInitialVelocity
+      );
 
       this.#previousScrollDirectionX = scrollDirectionX;
       this.#previousScrollDirectionY = scrollDirectionY;
       this.#previousScrollDuration = this.#scrollDuration;
 
+      const totalScrollDistance = this.#getPhysicsModelDistance(
+        this.#scrollPhysicsModel,
+        this.#scrollInitialVelocity
+      );
+
       const getScrollDistance = (initialVelocity) =>
-        (Math.abs(initialVelocity) * this.#scrollDuration) / 2;
+        (Math.abs(initialVelocity) / this.#scrollInitialVelocity) *
+        totalScrollDistance;
 
       const scrollDistanceX = getScrollDistance(this.#scrollInitialVelocityX);
       const scrollDistanceY = getScrollDistance(this.#scrollInitialVelocityY);
 
+      this.#scrollProjectedLeft =
+        this.#scrollContainer.scrollLeft -
+        Math.sign(this.#scrollInitialVelocityX) * scrollDistanceX;
+      this.#scrollProjectedTop =
+        this.#scrollContainer.scrollTop -
+        Math.sign(this.#scrollInitialVelocityY) * scrollDistanceY;
+      this.#updateEdgeProximity();
+
       const minimumScrollableDistance = 1 / devicePixelRatio;
       const scrollDistanceXTooSmall =
         scrollDistanceX < minimumScrollableDistance;
@@ -1430,17 +4173,18 @@ class MomentaMouse {
     }
 
     this.#scrollElapsedTime = currentTime - this.#scrollStartTime;
-    const elapsedTimeRatio = Math.min(
-      this.#scrollElapsedTime / this.#scrollDuration,
-      1
+
+    const {
+      position: scrollDistance,
+      velocity: scrollCurrentVelocity,
+      done: physicsModelIsDone,
+    } = this.#scrollPhysicsModel.getState(
+      this.#scrollInitialVelocity,
+      this.#scrollElapsedTime
     );
 
     const getCurrentVelocity = (initialVelocity) =>
-      Math.sign(initialVelocity) *
-      (Math.abs(initialVelocity) -
-        this.#scrollDeceleration *
-          (Math.abs(initialVelocity) / this.#scrollInitialVelocity) *
-          this.#scrollElapsedTime);
+      (initialVelocity / this.#scrollInitialVelocity) * scrollCurrentVelocity;
 
     this.#scrollCurrentVelocityX = getCurrentVelocity(
       this.#scrollInitialVelocityX
@@ -1450,13 +4194,8 @@ class MomentaMouse {
     );
 
     const getNextScrollPosition = (startingPoint, initialVelocity) =>
-      startingPoint +
-      (-initialVelocity * this.#scrollElapsedTime +
-        Math.sign(initialVelocity) *
-          0.5 *
-          this.#scrollDeceleration *
-          (Math.abs(initialVelocity) / this.#scrollInitialVelocity) *
-          Math.pow(this.#scrollElapsedTime, 2));
+      startingPoint -
+      (initialVelocity / this.#scrollInitialVelocity) * scrollDistance;
 
     if (this.#xAxisIsScrollable)
       this.#scrollContainer.scrollLeft = getNextScrollPosition(
@@ -1480,54 +4219,74 @@ class MomentaMouse {
       })
     );
 
-    if (this.#borderBouncinessLevel !== "none") {
-      const tryingToScrollBeyondHorizontalEdge =
-        (this.#scrollInitialVelocityX > 0 && atLeftEdge) ||
-        (this.#scrollInitialVelocityX < 0 && atRightEdge);
-      const tryingToScrollBeyondVerticalEdge =
-        (this.#scrollInitialVelocityY > 0 && atTopEdge) ||
-        (this.#scrollInitialVelocityY < 0 && atBottomEdge);
+    const tryingToScrollBeyondHorizontalEdge =
+      (this.#scrollInitialVelocityX > 0 && atLeftEdge) ||
+      (this.#scrollInitialVelocityX < 0 && atRightEdge);
+    const tryingToScrollBeyondVerticalEdge =
+      (this.#scrollInitialVelocityY > 0 && atTopEdge) ||
+      (this.#scrollInitialVelocityY < 0 && atBottomEdge);
+
+    const scrollChainingAncestorX =
+      !this.#xAlreadyBounced && tryingToScrollBeyondHorizontalEdge
+        ? this.#getScrollChainingAncestor("x")
+        : null;
+    const scrollChainingAncestorY =
+      !this.#yAlreadyBounced && tryingToScrollBeyondVerticalEdge
+        ? this.#getScrollChainingAncestor("y")
+        : null;
+
+    if (scrollChainingAncestorX || scrollChainingAncestorY) {
+      if (scrollChainingAncestorX) this.#xAlreadyBounced = true;
+      if (scrollChainingAncestorY) this.#yAlreadyBounced = true;
+
+      this.#chainVelocity({
+        scrollChainingAncestorX,
+        velocityX: scrollChainingAncestorX ? this.#scrollCurrentVelocityX : 0,
+        scrollChainingAncestorY,
+        velocityY: scrollChainingAncestorY ? this.#scrollCurrentVelocityY : 0,
+      });
+    }
 
-      if (!this.#xAlreadyBounced && tryingToScrollBeyondHorizontalEdge) {
-        this.#bounce({ initialVelocityX: this.#scrollCurrentVelocityX });
-        this.#xAlreadyBounced = true;
-      }
-      if (!this.#yAlreadyBounced && tryingToScrollBeyondVerticalEdge) {
-        this.#bounce({ initialVelocityY: this.#scrollCurrentVelocityY });
-        this.#yAlreadyBounced = true;
-      }
+    if (
+      this.#borderBouncesOnAxis("x") &&
+      !this.#xAlreadyBounced &&
+      tryingToScrollBeyondHorizontalEdge
+    ) {
+      this.#bounce({ initialVelocityX: this.#scrollCurrentVelocityX });
+      this.#xAlreadyBounced = true;
+    }
+    if (
+      this.#borderBouncesOnAxis("y") &&
+      !this.#yAlreadyBounced &&
+      tryingToScrollBeyondVerticalEdge
+    ) {
+      this.#bounce({ initialVelocityY: this.#scrollCurrentVelocityY });
+      this.#yAlreadyBounced = true;
     }
 
     const atEdgeOfVerticalOnlyScroller =
-      this.#scrollableAxes === "vertical-only" && (atTopEdge || atBottomEdge);
+      this.#scrollableAxes === "vertical-only" &&
+      tryingToScrollBeyondVerticalEdge;
 
     const atEdgeOfHorizontalOnlyScroller =
-      this.#scrollableAxes === "horizontal-only" && (atLeftEdge || atRightEdge);
+      this.#scrollableAxes === "horizontal-only" &&
+      tryingToScrollBeyondHorizontalEdge;
 
     const atEdgeOfOneDimensionalScroller =
       atEdgeOfVerticalOnlyScroller || atEdgeOfHorizontalOnlyScroller;
 
-    const atTopLeftVertex = atTopEdge && atLeftEdge;
-    const atTopRightVertex = atTopEdge && atRightEdge;
-    const atBottomRightVertex = atBottomEdge && atRightEdge;
-    const atBottomLeftVertex = atBottomEdge && atLeftEdge;
-
-    const atTopOrBottomEdgeAndNoHorizontalMovement =
-      (atTopEdge || atBottomEdge) && !this.#scrollInitialVelocityX;
-    const atLeftOrRightEdgeAndNoVerticalMovement =
-      (atLeftEdge || atRightEdge) && !this.#scrollInitialVelocityY;
+    const horizontalMovementIsBlocked =
+      tryingToScrollBeyondHorizontalEdge || !this.#scrollInitialVelocityX;
+    const verticalMovementIsBlocked =
+      tryingToScrollBeyondVerticalEdge || !this.#scrollInitialVelocityY;
 
     const atVertexOfTwoDimensionalScroller =
       this.#scrollableAxes === "horizontal-and-vertical" &&
-      (atTopLeftVertex ||
-        atTopRightVertex ||
-        atBottomRightVertex ||
-        atBottomLeftVertex ||
-        atTopOrBottomEdgeAndNoHorizontalMovement ||
-        atLeftOrRightEdgeAndNoVerticalMovement);
+      horizontalMovementIsBlocked &&
+      verticalMovementIsBlocked;
 
     if (
-      elapsedTimeRatio < 1 &&
+      !physicsModelIsDone &&
       !atEdgeOfOneDimensionalScroller &&
       !atVertexOfTwoDimensionalScroller
     ) {
@@ -1537,8 +4296,7 @@ class MomentaMouse {
         });
       });
     } else if (
-      elapsedTimeRatio >= 1 ||
-      Number.isNaN(elapsedTimeRatio) ||
+      physicsModelIsDone ||
       atEdgeOfOneDimensionalScroller ||
       atVertexOfTwoDimensionalScroller
     ) {
@@ -1554,7 +4312,7 @@ class MomentaMouse {
     }
   }
 
-  #stopScroll(extraData = {}) {
+  #stopScroll(extraData = {}, { willContinueScrolling = false } = {}) {
     const eventData = this.#getScrollEventData(extraData);
 
     if (this.#scrollResolve) this.#scrollResolve(eventData);
@@ -1568,7 +4326,6 @@ class MomentaMouse {
 
     this.#previousScrollStopTimestamp = Date.now();
     cancelAnimationFrame(this.#scrollRafId);
-    this.#scrollDeceleration = NaN;
     this.#scrollDuration = NaN;
     this.#scrollElapsedTime = NaN;
     this.#scrollEndingPointX = NaN;
@@ -1577,9 +4334,384 @@ class MomentaMouse {
     this.#scrollStartingPointX = NaN;
     this.#scrollStartingPointY = NaN;
     this.#scrollStartTime = NaN;
+    this.#scrollVelocityMultiplierX = NaN;
+    this.#scrollVelocityMultiplierY = NaN;
     this.#scrollInitialVelocity = NaN;
     this.#scrollInitialVelocityX = NaN;
     this.#scrollInitialVelocityY = NaN;
+    this.#scrollPhysicsModel = null;
+    this.#scrollProjectedLeft = NaN;
+    this.#scrollProjectedTop = NaN;
+    this.#scrollSnapTarget = null;
+
+    if (willContinueScrolling) return;
+
+    this.#resumeScrollSnapping();
+    this.#updatePageIndex();
+  }
+
+  #pullToRefresh = false;
+  #pullToRefreshThreshold = 40;
+  #pullToRefreshRefreshingOffset = 30;
+  #pullToRefreshRefreshing = false;
+  #pullToRefreshCount = 0;
+  #bounceEquilibriumY = 0;
+
+  #startPullToRefreshIfNeeded() {
+    const pulledPastThreshold =
+      this.#pullToRefresh &&
+      !this.#pullToRefreshRefreshing &&
+      this.#bounceCurrentTranslateY >= this.#pullToRefreshThreshold;
+    if (!pulledPastThreshold) return;
+
+    const pullToRefreshCount = ++this.#pullToRefreshCount;
+    this.#pullToRefreshRefreshing = true;
+    this.#bounceEquilibriumY = this.#pullToRefreshRefreshingOffset;
+
+    const refreshPromises = [];
+    let isDispatching = true;
+
+    this.#scrollContainer.dispatchEvent(
+      new CustomEvent("momentaMouseScrollerPullToRefresh", {
+        bubbles: true,
+        detail: {
+          scrollContainer: this.#scrollContainer,
+          waitUntil: (refreshPromise) => {
+            if (!isDispatching)
+              throw new DOMException(
+                "waitUntil must be called while the momentaMouseScrollerPullToRefresh event is being dispatched",
+                "InvalidStateError"
+              );
+            validateArgument(
+              "refreshPromise",
+              refreshPromise !== null &&
+                ["object", "function"].includes(typeof refreshPromise) &&
+                typeof refreshPromise.then === "function",
+              {
+                allowedValues: [true],
+                customErrorMessage:
+                  "refreshPromise must be a Promise or another object with a then method",
+              }
+            );
+            refreshPromises.push(Promise.resolve(refreshPromise));
+          },
+        },
+      })
+    );
+
+    isDispatching = false;
+
+    Promise.allSettled(refreshPromises).then(() => {
+      if (pullToRefreshCount === this.#pullToRefreshCount)
+        this.#endPullToRefresh();
+    });
+  }
+
+  #endPullToRefresh() {
+    if (!this.#pullToRefreshRefreshing) return;
+
+    this.#pullToRefreshRefreshing = false;
+    this.#pullToRefreshCount++;
+    this.#bounceEquilibriumY = 0;
+
+    if (this.#isCurrentlyHandlingPointer) return;
+
+    if (this.#bounceResolve)
+      this.#stopBounce({ interruptedBy: "Pull to refresh completion" });
+
+    if (this.#borderBounciness) {
+      this.#bounce();
+    } else if (!this.#borderBounciness) {
+      this.#bounceCurrentTranslateY = 0;
+      this.#updateBouncePosition();
+    }
+  }
+
+  #pagingMode = false;
+  #pageWidth = "auto";
+  #pageHeight = "auto";
+  #maxPagesPerFlick = 1;
+  #pageIndexX = 0;
+  #pageIndexY = 0;
+  #pagingOriginPageX = 0;
+  #pagingOriginPageY = 0;
+
+  #getPageSizes() {
+    return {
+      pageWidth:
+        this.#pageWidth === "auto"
+          ? this.#scrollContainer.clientWidth
+          : this.#pageWidth,
+      pageHeight:
+        this.#pageHeight === "auto"
+          ? this.#scrollContainer.clientHeight
+          : this.#pageHeight,
+    };
+  }
+
+  #getCurrentPageIndices() {
+    const { pageWidth, pageHeight } = this.#getPageSizes();
+
+    return [
+      Math.abs(Math.round(this.#scrollContainer.scrollLeft / pageWidth)),
+      Math.abs(Math.round(this.#scrollContainer.scrollTop / pageHeight)),
+    ];
+  }
+
+  #recordPagingOrigin() {
+    if (!this.#pagingMode) return;
+
+    const { pageWidth, pageHeight } = this.#getPageSizes();
+
+    this.#pagingOriginPageX = Math.round(
+      this.#scrollContainer.scrollLeft / pageWidth
+    );
+    this.#pagingOriginPageY = Math.round(
+      this.#scrollContainer.scrollTop / pageHeight
+    );
+  }
+
+  #getPagingDestination() {
+    if (!this.#scrollDestinationsAreReachable()) return null;
+
+    const { pageWidth, pageHeight } = this.#getPageSizes();
+    const { minLeft, maxLeft, minTop, maxTop } =
+      this.#getScrollPositionLimits();
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    const getPagePosition = (
+      currentPosition,
+      axisInitialVelocity,
+      originPage,
+      pageSize,
+      minPosition,
+      maxPosition
+    ) => {
+      const projectedPosition = this.#getProjectedScrollPosition(
+        currentPosition,
+        axisInitialVelocity
+      );
+      const scrollDirection = -Math.sign(axisInitialVelocity);
+
+      let page = Math.round(projectedPosition / pageSize);
+
+      if (scrollDirection > 0) {
+        const nextPage = Math.floor((currentPosition + 1) / pageSize) + 1;
+        page = Math.max(page, nextPage);
+      } else if (scrollDirection < 0) {
+        const previousPage = Math.ceil((currentPosition - 1) / pageSize) - 1;
+        page = Math.min(page, previousPage);
+      }
+
+      page = clamp(
+        page,
+        originPage - this.#maxPagesPerFlick,
+        originPage + this.#maxPagesPerFlick
+      );
+
+      return clamp(page * pageSize, minPosition, maxPosition);
+    };
+
+    return {
+      left: getPagePosition(
+        this.#scrollContainer.scrollLeft,
+        this.#scrollInitialVelocityX,
+        this.#pagingOriginPageX,
+        pageWidth,
+        minLeft,
+        maxLeft
+      ),
+      top: getPagePosition(
+        this.#scrollContainer.scrollTop,
+        this.#scrollInitialVelocityY,
+        this.#pagingOriginPageY,
+        pageHeight,
+        minTop,
+        maxTop
+      ),
+    };
+  }
+
+  #updatePageIndex() {
+    if (!this.#pagingMode) return;
+
+    const previousPageIndexX = this.#pageIndexX;
+    const previousPageIndexY = this.#pageIndexY;
+    [this.#pageIndexX, this.#pageIndexY] = this.#getCurrentPageIndices();
+
+    if (
+      this.#pageIndexX === previousPageIndexX &&
+      this.#pageIndexY === previousPageIndexY
+    )
+      return;
+
+    this.#scrollContainer.dispatchEvent(
+      new CustomEvent("momentaMouseScrollerPageChange", {
+        bubbles: true,
+        detail: {
+          scrollContainer: this.#scrollContainer,
+          previousPageIndexX,
+          previousPageIndexY,
+          pageIndexX: this.#pageIndexX,
+          pageIndexY: this.#pageIndexY,
+        },
+      })
+    );
+  }
+
+  #scrollSnapInlineStyle;
+  #scrollSnapSuspended = false;
+  #scrollSnapTarget = null;
+  #scrollSnapType = "none";
+
+  #suspendScrollSnapping() {
+    if (this.#scrollSnapSuspended) return;
+
+    this.#scrollSnapType = getComputedStyle(
+      this.#scrollContainer
+    ).scrollSnapType;
+
+    if (!this.#scrollSnapType || this.#scrollSnapType === "none") {
+      this.#scrollSnapType = "none";
+      return;
+    }
+
+    this.#scrollSnapInlineStyle = {
+      value: this.#scrollContainer.style.getPropertyValue("scroll-snap-type"),
+      priority:
+        this.#scrollContainer.style.getPropertyPriority("scroll-snap-type"),
+    };
+
+    this.#scrollContainer.style.setProperty(
+      "scroll-snap-type",
+      "none",
+      "important"
+    );
+    this.#scrollSnapSuspended = true;
+  }
+
+  #resumeScrollSnapping() {
+    if (!this.#scrollSnapSuspended) return;
+
+    const { value, priority } = this.#scrollSnapInlineStyle;
+    if (value) {
+      this.#scrollContainer.style.setProperty(
+        "scroll-snap-type",
+        value,
+        priority
+      );
+    } else if (!value) {
+      this.#scrollContainer.style.removeProperty("scroll-snap-type");
+    }
+
+    this.#scrollSnapSuspended = false;
+  }
+
+  #getScrollSnapDestination() {
+    const [scrollSnapAxis, scrollSnapStrictness = "proximity"] =
+      this.#scrollSnapType.split(" ");
+
+    const snapsX =
+      this.#xAxisIsScrollable &&
+      ["x", "inline", "both"].includes(scrollSnapAxis);
+    const snapsY =
+      this.#yAxisIsScrollable &&
+      ["y", "block", "both"].includes(scrollSnapAxis);
+
+    if ((!snapsX && !snapsY) || !this.#scrollDestinationsAreReachable())
+      return null;
+
+    const { minLeft, maxLeft, minTop, maxTop } =
+      this.#getScrollPositionLimits();
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    const currentLeft = this.#scrollContainer.scrollLeft;
+    const currentTop = this.#scrollContainer.scrollTop;
+
+    const projectedLeft = clamp(
+      this.#getProjectedScrollPosition(
+        currentLeft,
+        this.#scrollInitialVelocityX
+      ),
+      minLeft,
+      maxLeft
+    );
+    const projectedTop = clamp(
+      this.#getProjectedScrollPosition(
+        currentTop,
+        this.#scrollInitialVelocityY
+      ),
+      minTop,
+      maxTop
+    );
+
+    const snapAreaContainer =
+      this.#overscrollWrapper ||
+      (this.#scrollContainer === document.documentElement
+        ? document.body
+        : this.#scrollContainer);
+
+    const snapPositions = Array.from(snapAreaContainer.children)
+      .map((snapArea) => {
+        const [blockAlignment, inlineAlignment = blockAlignment] =
+          getComputedStyle(snapArea).scrollSnapAlign.split(" ");
+
+        if (blockAlignment === "none" && inlineAlignment === "none") return;
+
+        const { left, top } = this.#getScrollPositionOfElement(snapArea, {
+          block: blockAlignment === "none" ? "start" : blockAlignment,
+          inline: inlineAlignment === "none" ? "start" : inlineAlignment,
+        });
+
+        const snapLeft =
+          snapsX && inlineAlignment !== "none"
+            ? clamp(left, minLeft, maxLeft)
+            : projectedLeft;
+        const snapTop =
+          snapsY && blockAlignment !== "none"
+            ? clamp(top, minTop, maxTop)
+            : projectedTop;
+
+        return {
+          snapTarget: snapArea,
+          left: snapLeft,
+          top: snapTop,
+          distance: Math.hypot(
+            snapLeft - projectedLeft,
+            snapTop - projectedTop
+          ),
+        };
+      })
+      .filter((snapPosition) => snapPosition);
+
+    const isInScrollDirection = (snapPosition, currentPosition, velocity) =>
+      !velocity ||
+      Math.sign(currentPosition - snapPosition) !== -Math.sign(velocity);
+
+    const snapPositionsInScrollDirection = snapPositions.filter(
+      ({ left, top }) =>
+        isInScrollDirection(left, currentLeft, this.#scrollInitialVelocityX) &&
+        isInScrollDirection(top, currentTop, this.#scrollInitialVelocityY)
+    );
+
+    const candidateSnapPositions = (
+      snapPositionsInScrollDirection.length
+        ? snapPositionsInScrollDirection
+        : snapPositions
+    ).filter(
+      ({ left, top }) =>
+        scrollSnapStrictness === "mandatory" ||
+        (Math.abs(left - projectedLeft) <=
+          this.#scrollContainer.clientWidth / 2 &&
+          Math.abs(top - projectedTop) <=
+            this.#scrollContainer.clientHeight / 2)
+    );
+
+    if (!candidateSnapPositions.length) return null;
+
+    return candidateSnapPositions.reduce((nearest, snapPosition) =>
+      snapPosition.distance < nearest.distance ? snapPosition : nearest
+    );
   }
 
   #getScrollEventData(extraData) {
@@ -1588,6 +4720,8 @@ class MomentaMouse {
       initialVelocityX: this.#scrollInitialVelocityX,
       initialVelocityY: this.#scrollInitialVelocityY,
       initialVelocity: this.#scrollInitialVelocity,
+      velocityMultiplierX: this.#scrollVelocityMultiplierX,
+      velocityMultiplierY: this.#scrollVelocityMultiplierY,
       startPoint: [this.#scrollStartingPointX, this.#scrollStartingPointY],
       endPoint: [this.#scrollEndingPointX, this.#scrollEndingPointY],
       distance: Math.hypot(
@@ -1595,6 +4729,7 @@ class MomentaMouse {
         Math.abs(this.#scrollStartingPointY - this.#scrollEndingPointY)
       ),
       elapsedTime: this.#scrollElapsedTime,
+      snapTarget: this.#scrollSnapTarget,
       interruptedBy: null,
     };
 
@@ -1608,7 +4743,6 @@ class MomentaMouse {
   #bounceBouncingY;
   #bounceCurrentTranslateX = 0;
   #bounceCurrentTranslateY = 0;
-  #bounceDamping = NaN;
   #bounceElapsedTimeX = NaN;
   #bounceElapsedTimeY = NaN;
   #bounceReboundOnlyX;
@@ -1621,25 +4755,263 @@ class MomentaMouse {
   #bounceResolve;
   #bounceStartTimeX = NaN;
   #bounceStartTimeY = NaN;
-  #bounceTimeAtMaximumDisplacment = NaN;
+  #bounceSpring = null;
+
+  #overscrollStrategy = "transform";
+  #counterBouncer = null;
+  #overscrollWrapper = null;
+  #overscrollWrapperOriginalInlineStyles = new Map();
+
+  #restoreOriginalInlineStyles(properties) {
+    properties.forEach((property) => {
+      const { value, priority } = this.#originalInlineStyles.get(property);
+      if (value) {
+        this.#scrollContainer.style.setProperty(property, value, priority);
+      } else if (!value) {
+        this.#scrollContainer.style.removeProperty(property);
+      }
+    });
+  }
 
-  #updateBouncePosition() {
-    this.#scrollContainer.style.setProperty(
-      "transform",
-      `translate3d(${this.#bounceCurrentTranslateX}px, ${
-        this.#bounceCurrentTranslateY
-      }px, 0px)`
+  #restoreOverscrollWrapperInlineStyles() {
+    this.#overscrollWrapperOriginalInlineStyles.forEach(
+      ({ value, priority }, property) => {
+        if (value) {
+          this.#overscrollWrapper.style.setProperty(property, value, priority);
+        } else if (!value) {
+          this.#overscrollWrapper.style.removeProperty(property);
+        }
+      }
     );
+  }
 
-    if (this.#scrollContainer === document.documentElement) {
-      this.#scrollContainer
-        .querySelector(".momenta-mouse-counter-bouncer")
-        .style.setProperty(
+  #getCounterBouncerFloatDirection() {
+    return this.#pageProgression === "left-to-right"
+      ? "right"
+      : this.#pageProgression === "right-to-left"
+      ? "left"
+      : null;
+  }
+
+  #applyOverscrollStrategy() {
+    const scrollContainerIsRoot =
+      this.#scrollContainer === document.documentElement;
+
+    if (this.#overscrollStrategy === "transform" && scrollContainerIsRoot) {
+      this.#scrollContainer.style.setProperty("display", "grid");
+
+      this.#counterBouncer = document.createElement("div");
+      this.#counterBouncer.setAttribute(
+        "style",
+        `height: 1px; width: 1px; transform: translate3d(0px, 0px, 0px); float: ${this.#getCounterBouncerFloatDirection()};`
+      );
+      this.#counterBouncer.classList.add("momenta-mouse-counter-bouncer");
+      document.body.insertAdjacentElement("beforeend", this.#counterBouncer);
+    } else if (this.#overscrollStrategy === "wrapper") {
+      // The wrapper belongs to the app, so only its transform is borrowed
+      this.#overscrollWrapper = MomentaMouse.#getOverscrollWrapper(
+        this.#scrollContainer
+      );
+      this.#overscrollWrapperOriginalInlineStyles = new Map(
+        ["transform", "transform-origin"].map((property) => [
+          property,
+          {
+            value: this.#overscrollWrapper.style.getPropertyValue(property),
+            priority:
+              this.#overscrollWrapper.style.getPropertyPriority(property),
+          },
+        ])
+      );
+    }
+  }
+
+  #removeOverscrollStrategy() {
+    if (this.#overscrollStrategy === "transform") {
+      this.#restoreOriginalInlineStyles([
+        "display",
+        "transform",
+        "transform-origin",
+      ]);
+
+      if (this.#counterBouncer) this.#counterBouncer.remove();
+      this.#counterBouncer = null;
+    } else if (this.#overscrollStrategy === "wrapper") {
+      this.#restoreOverscrollWrapperInlineStyles();
+      this.#overscrollWrapper = null;
+    } else if (this.#overscrollStrategy === "custom-properties") {
+      this.#scrollContainer.style.removeProperty(
+        "--momenta-mouse-overscroll-x"
+      );
+      this.#scrollContainer.style.removeProperty(
+        "--momenta-mouse-overscroll-y"
+      );
+    }
+  }
+
+  #overscrollEffect = "bounce";
+  #overscrollGlow = null;
+  #overscrollGlowColor = "rgba(0, 0, 0, 0.2)";
+
+  #getOverscrollTransform() {
+    if (this.#overscrollEffect === "stretch") {
+      const { clientWidth, clientHeight } = this.#scrollContainer;
+      const scaleX =
+        1 + Math.abs(this.#bounceCurrentTranslateX) / (clientWidth || 1);
+      const scaleY =
+        1 + Math.abs(this.#bounceCurrentTranslateY) / (clientHeight || 1);
+      const originX =
+        this.#bounceCurrentTranslateX > 0
+          ? "left"
+          : this.#bounceCurrentTranslateX < 0
+          ? "right"
+          : "center";
+      const originY =
+        this.#bounceCurrentTranslateY > 0
+          ? "top"
+          : this.#bounceCurrentTranslateY < 0
+          ? "bottom"
+          : "center";
+
+      return {
+        transform: `scale(${scaleX}, ${scaleY})`,
+        transformOrigin: `${originX} ${originY}`,
+      };
+    }
+
+    return {
+      transform: `translate3d(${this.#bounceCurrentTranslateX}px, ${
+        this.#bounceCurrentTranslateY
+      }px, 0px)`,
+      transformOrigin: null,
+    };
+  }
+
+  #updateOverscrollGlow() {
+    const atRest =
+      this.#bounceCurrentTranslateX === 0 &&
+      this.#bounceCurrentTranslateY === 0;
+
+    if (atRest) {
+      if (this.#overscrollGlow) this.#overscrollGlow.remove();
+      this.#overscrollGlow = null;
+      return;
+    }
+
+    if (!this.#overscrollGlow) {
+      this.#overscrollGlow = document.createElement("div");
+      this.#overscrollGlow.classList.add("momenta-mouse-overscroll-glow");
+      this.#overscrollGlow.append(
+        document.createElement("div"),
+        document.createElement("div")
+      );
+      document.body.append(this.#overscrollGlow);
+    }
+
+    const { left, top, width, height } =
+      this.#scrollContainer === document.documentElement
+        ? {
+            left: 0,
+            top: 0,
+            width: this.#scrollContainer.clientWidth,
+            height: this.#scrollContainer.clientHeight,
+          }
+        : this.#scrollContainer.getBoundingClientRect();
+
+    const setStyle = (element, style) => {
+      element.removeAttribute("style");
+      Object.entries(style).forEach(([property, value]) =>
+        element.style.setProperty(property, value)
+      );
+    };
+
+    setStyle(this.#overscrollGlow, {
+      position: "fixed",
+      left: `${left}px`,
+      top: `${top}px`,
+      width: `${width}px`,
+      height: `${height}px`,
+      overflow: "hidden",
+      "pointer-events": "none",
+      "z-index": "2147483647",
+    });
+
+    const getGlowIntensity = (translate) =>
+      Math.min(1, Math.abs(translate) / 50);
+
+    const [horizontalGlow, verticalGlow] = this.#overscrollGlow.children;
+    const horizontalGlowSide =
+      this.#bounceCurrentTranslateX > 0 ? "left" : "right";
+    const verticalGlowSide =
+      this.#bounceCurrentTranslateY > 0 ? "top" : "bottom";
+
+    setStyle(horizontalGlow, {
+      position: "absolute",
+      top: "0px",
+      [horizontalGlowSide]: "0px",
+      width: "25%",
+      height: "100%",
+      background: `radial-gradient(farthest-side at ${horizontalGlowSide}, ${
+        this.#overscrollGlowColor
+      }, transparent)`,
+      opacity: `${getGlowIntensity(this.#bounceCurrentTranslateX)}`,
+    });
+    setStyle(verticalGlow, {
+      position: "absolute",
+      left: "0px",
+      [verticalGlowSide]: "0px",
+      width: "100%",
+      height: "25%",
+      background: `radial-gradient(farthest-side at ${verticalGlowSide}, ${
+        this.#overscrollGlowColor
+      }, transparent)`,
+      opacity: `${getGlowIntensity(this.#bounceCurrentTranslateY)}`,
+    });
+  }
+
+  #updateBouncePosition() {
+    if (this.#overscrollEffect === "glow") return this.#updateOverscrollGlow();
+
+    const { transform, transformOrigin } = this.#getOverscrollTransform();
+
+    if (this.#overscrollStrategy === "transform") {
+      this.#scrollContainer.style.setProperty("transform", transform);
+      if (transformOrigin)
+        this.#scrollContainer.style.setProperty(
+          "transform-origin",
+          transformOrigin
+        );
+
+      if (this.#counterBouncer && this.#overscrollEffect === "bounce")
+        this.#counterBouncer.style.setProperty(
           "transform",
           `translate3d(${-1 * this.#bounceCurrentTranslateX}px, ${
             -1 * this.#bounceCurrentTranslateY
           }px, 0px)`
         );
+    } else if (this.#overscrollStrategy === "wrapper") {
+      const atRest =
+        this.#bounceCurrentTranslateX === 0 &&
+        this.#bounceCurrentTranslateY === 0;
+
+      if (atRest) {
+        this.#restoreOverscrollWrapperInlineStyles();
+      } else if (!atRest) {
+        this.#overscrollWrapper.style.setProperty("transform", transform);
+        if (transformOrigin)
+          this.#overscrollWrapper.style.setProperty(
+            "transform-origin",
+            transformOrigin
+          );
+      }
+    } else if (this.#overscrollStrategy === "custom-properties") {
+      this.#scrollContainer.style.setProperty(
+        "--momenta-mouse-overscroll-x",
+        `${this.#bounceCurrentTranslateX}px`
+      );
+      this.#scrollContainer.style.setProperty(
+        "--momenta-mouse-overscroll-y",
+        `${this.#bounceCurrentTranslateY}px`
+      );
     }
   }
 
@@ -1669,49 +5041,38 @@ class MomentaMouse {
 
       if (nothing) return;
 
-      this.#bounceDamping = this.#borderBouncinessLevelToQuantityMap.get(
-        this.#borderBouncinessLevel
-      );
-
-      this.#bounceTimeAtMaximumDisplacment = 1 / this.#bounceDamping;
+      this.#bounceSpring = this.#borderBounciness;
 
       this.#bounceReboundOnlyX =
         initialVelocityX === 0 && this.#bounceCurrentTranslateX !== 0;
       this.#bounceReboundOnlyY =
-        initialVelocityY === 0 && this.#bounceCurrentTranslateY !== 0;
-
-      const getInitialVelocity = (currentPosition) =>
-        currentPosition /
-        (this.#bounceTimeAtMaximumDisplacment *
-          Math.pow(
-            Math.E,
-            -1 * this.#bounceDamping * this.#bounceTimeAtMaximumDisplacment
-          ));
+        initialVelocityY === 0 &&
+        this.#bounceCurrentTranslateY !== this.#bounceEquilibriumY;
 
       if (!this.#bounceBouncingX) {
         if (this.#bounceReboundOnlyX) {
-          initialVelocityX = getInitialVelocity(this.#bounceCurrentTranslateX);
-          this.#bounceInitialVelocityX = initialVelocityX / Math.E;
-          this.#bounceInitialPositionX =
-            this.#bounceInitialVelocityX * this.#bounceTimeAtMaximumDisplacment;
+          this.#bounceInitialVelocityX = 0;
+          this.#bounceInitialPositionX = this.#bounceCurrentTranslateX;
         } else if (!this.#bounceReboundOnlyX) {
           this.#bounceInitialVelocityX = initialVelocityX * 0.1;
           this.#bounceInitialPositionX = 0;
         }
-        if (this.#bounceInitialVelocityX) this.#bounceBouncingX = true;
+        if (this.#bounceInitialVelocityX || this.#bounceInitialPositionX)
+          this.#bounceBouncingX = true;
       }
 
       if (!this.#bounceBouncingY) {
         if (this.#bounceReboundOnlyY) {
-          initialVelocityY = getInitialVelocity(this.#bounceCurrentTranslateY);
-          this.#bounceInitialVelocityY = initialVelocityY / Math.E;
+          this.#bounceInitialVelocityY = 0;
           this.#bounceInitialPositionY =
-            this.#bounceInitialVelocityY * this.#bounceTimeAtMaximumDisplacment;
+            this.#bounceCurrentTranslateY - this.#bounceEquilibriumY;
         } else if (!this.#bounceReboundOnlyY) {
           this.#bounceInitialVelocityY = initialVelocityY * 0.1;
-          this.#bounceInitialPositionY = 0;
+          this.#bounceInitialPositionY =
+            this.#bounceCurrentTranslateY - this.#bounceEquilibriumY;
         }
-        if (this.#bounceInitialVelocityY) this.#bounceBouncingY = true;
+        if (this.#bounceInitialVelocityY || this.#bounceInitialPositionY)
+          this.#bounceBouncingY = true;
       }
 
       if (
@@ -1740,11 +5101,11 @@ class MomentaMouse {
       );
     };
 
-    if (this.#bounceInitialVelocityX && !this.#bounceStartTimeX) {
+    if (this.#bounceBouncingX && !this.#bounceStartTimeX) {
       this.#bounceStartTimeX = currentTime;
       dispatchMomentaMouseScrollerBounceEvent();
     }
-    if (this.#bounceInitialVelocityY && !this.#bounceStartTimeY) {
+    if (this.#bounceBouncingY && !this.#bounceStartTimeY) {
       this.#bounceStartTimeY = currentTime;
       dispatchMomentaMouseScrollerBounceEvent();
     }
@@ -1754,38 +5115,100 @@ class MomentaMouse {
     if (this.#bounceStartTimeY)
       this.#bounceElapsedTimeY = currentTime - this.#bounceStartTimeY;
 
-    const getTranslate = (initialPosition, initialVelocity, elapsedTime) =>
-      (initialPosition + initialVelocity * elapsedTime) /
-      Math.pow(Math.E, this.#bounceDamping * elapsedTime);
+    const { damping, stiffness } = this.#bounceSpring;
+    const naturalFrequency = Math.sqrt(stiffness);
+    const dampingRatio = damping / (2 * naturalFrequency);
+
+    const getTranslate = (initialPosition, initialVelocity, elapsedTime) => {
+      if (dampingRatio < 1) {
+        const dampedFrequency =
+          naturalFrequency * Math.sqrt(1 - dampingRatio ** 2);
+        return (
+          Math.exp(-dampingRatio * naturalFrequency * elapsedTime) *
+          (initialPosition * Math.cos(dampedFrequency * elapsedTime) +
+            ((initialVelocity +
+              dampingRatio * naturalFrequency * initialPosition) /
+              dampedFrequency) *
+              Math.sin(dampedFrequency * elapsedTime))
+        );
+      } else if (dampingRatio > 1) {
+        const decayRateRoot =
+          naturalFrequency * Math.sqrt(dampingRatio ** 2 - 1);
+        const slowDecayRate = -dampingRatio * naturalFrequency + decayRateRoot;
+        const fastDecayRate = -dampingRatio * naturalFrequency - decayRateRoot;
+        const slowCoefficient =
+          (initialVelocity - fastDecayRate * initialPosition) /
+          (slowDecayRate - fastDecayRate);
+        return (
+          slowCoefficient * Math.exp(slowDecayRate * elapsedTime) +
+          (initialPosition - slowCoefficient) *
+            Math.exp(fastDecayRate * elapsedTime)
+        );
+      }
+
+      return (
+        (initialPosition +
+          (initialVelocity + naturalFrequency * initialPosition) *
+            elapsedTime) *
+        Math.exp(-naturalFrequency * elapsedTime)
+      );
+    };
 
     this.#bounceCurrentTranslateX = getTranslate(
       this.#bounceInitialPositionX,
       this.#bounceInitialVelocityX,
       this.#bounceElapsedTimeX || 0
     );
-    this.#bounceCurrentTranslateY = getTranslate(
-      this.#bounceInitialPositionY,
-      this.#bounceInitialVelocityY,
-      this.#bounceElapsedTimeY || 0
-    );
+    this.#bounceCurrentTranslateY =
+      this.#bounceEquilibriumY +
+      getTranslate(
+        this.#bounceInitialPositionY,
+        this.#bounceInitialVelocityY,
+        this.#bounceElapsedTimeY || 0
+      );
 
     this.#updateBouncePosition();
 
-    const getIsAtEquilibrium = (scrolling, elapsedTime, translate) =>
-      !scrolling ||
-      (scrolling &&
-        elapsedTime > this.#bounceTimeAtMaximumDisplacment &&
-        Math.abs(translate) < 1 / devicePixelRatio);
+    const frameDuration = 1000 / 60;
+    const minimumDisplacement = 1 / devicePixelRatio;
+
+    const getIsAtEquilibrium = (
+      bouncing,
+      initialPosition,
+      initialVelocity,
+      elapsedTime,
+      translate
+    ) => {
+      if (!bouncing) return true;
+
+      const translateAfterNextFrame = getTranslate(
+        initialPosition,
+        initialVelocity,
+        elapsedTime + frameDuration
+      );
+
+      // An underdamped spring passes the equilibrium quickly, so it is only
+      // at rest once it also barely moves between frames
+      return (
+        Math.abs(translate) < minimumDisplacement &&
+        Math.abs(translateAfterNextFrame) < minimumDisplacement &&
+        Math.abs(translateAfterNextFrame - translate) < minimumDisplacement / 2
+      );
+    };
 
     const xIsAtEquilibrium = getIsAtEquilibrium(
       this.#bounceBouncingX,
-      this.#bounceElapsedTimeX,
+      this.#bounceInitialPositionX,
+      this.#bounceInitialVelocityX,
+      this.#bounceElapsedTimeX || 0,
       this.#bounceCurrentTranslateX
     );
     const yIsAtEquilibrium = getIsAtEquilibrium(
       this.#bounceBouncingY,
-      this.#bounceElapsedTimeY,
-      this.#bounceCurrentTranslateY
+      this.#bounceInitialPositionY,
+      this.#bounceInitialVelocityY,
+      this.#bounceElapsedTimeY || 0,
+      this.#bounceCurrentTranslateY - this.#bounceEquilibriumY
     );
 
     if (!xIsAtEquilibrium || !yIsAtEquilibrium) {
@@ -1796,7 +5219,7 @@ class MomentaMouse {
       });
     } else if (xIsAtEquilibrium && yIsAtEquilibrium) {
       this.#bounceCurrentTranslateX = 0;
-      this.#bounceCurrentTranslateY = 0;
+      this.#bounceCurrentTranslateY = this.#bounceEquilibriumY;
 
       this.#updateBouncePosition();
 
@@ -1817,7 +5240,7 @@ class MomentaMouse {
     );
 
     cancelAnimationFrame(this.#bounceRafId);
-    this.#bounceDamping = NaN;
+    this.#bounceSpring = null;
     this.#bounceInitialVelocityX = NaN;
     this.#bounceInitialVelocityY = NaN;
     this.#bounceBouncingX = false;
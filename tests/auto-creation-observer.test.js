@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import {
+  captureEvents,
+  createScrollContainer,
+  defineScrollGeometry,
+  nextAnimationFrame,
+  resize,
+} from "./helpers.js";
+
+const stylesheet = document.createElement("style");
+stylesheet.textContent = `
+  .scrollable { overflow-x: auto; overflow-y: auto; }
+  .rtl .scrollable { direction: rtl; }
+`;
+document.head.append(stylesheet);
+
+const afterMutationsAndNextFrame = async () => {
+  await Promise.resolve();
+  await nextAnimationFrame();
+};
+
+test("class changes are checked once, in the next animation frame", async () => {
+  const element = defineScrollGeometry(document.createElement("div"));
+  document.body.append(element);
+  MomentaMouse.autoCreateScrollers({ rootSelector: "body", observe: true });
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+
+  element.classList.add("scrollable");
+  element.classList.add("other");
+  await Promise.resolve();
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+
+  await nextAnimationFrame();
+  assert.ok(MomentaMouse.getScroller(element));
+
+  element.classList.remove("scrollable");
+  await afterMutationsAndNextFrame();
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+});
+
+test("scrollers inside an element whose class changed are checked", async () => {
+  const container = document.createElement("div");
+  const element = defineScrollGeometry(document.createElement("div"));
+  container.append(element);
+  document.body.append(container);
+  element.classList.add("scrollable");
+
+  MomentaMouse.autoCreateScrollers({ rootSelector: "body", observe: true });
+  assert.ok(MomentaMouse.getScroller(element));
+
+  element.style.setProperty("overflow-x", "hidden");
+  element.style.setProperty("overflow-y", "hidden");
+  container.classList.add("changed");
+  await afterMutationsAndNextFrame();
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+});
+
+test("inline style changes are not watched", async () => {
+  const element = defineScrollGeometry(document.createElement("div"));
+  document.body.append(element);
+  MomentaMouse.autoCreateScrollers({ rootSelector: "body", observe: true });
+
+  element.style.setProperty("overflow-x", "auto");
+  element.style.setProperty("overflow-y", "auto");
+  await afterMutationsAndNextFrame();
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+});
+
+test("a class on an ancestor that flips direction changes page progression", async () => {
+  const ancestor = document.createElement("div");
+  document.body.append(ancestor);
+  const scrollContainer = createScrollContainer({ parent: ancestor });
+  scrollContainer.classList.add("scrollable");
+  MomentaMouse.createScroller(scrollContainer);
+  const axesChangeEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerAxesChange"
+  );
+
+  ancestor.classList.add("rtl");
+  await afterMutationsAndNextFrame();
+
+  assert.equal(axesChangeEvents.length, 1);
+  assert.equal(
+    axesChangeEvents[0].detail.previousPageProgression,
+    "left-to-right"
+  );
+  assert.equal(axesChangeEvents[0].detail.pageProgression, "right-to-left");
+});
+
+test("elements are promoted and demoted when their content resizes", async () => {
+  const element = document.createElement("div");
+  element.classList.add("scrollable");
+  const content = document.createElement("p");
+  element.append(content);
+  document.body.append(element);
+  const fittingGeometry = { scrollWidth: 100, scrollHeight: 100 };
+  defineScrollGeometry(element, fittingGeometry);
+
+  MomentaMouse.autoCreateScrollers({ rootSelector: "body", observe: true });
+  await nextAnimationFrame();
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+
+  resize(element, { scrollWidth: 100, scrollHeight: 1000 }, content);
+  await nextAnimationFrame();
+  await nextAnimationFrame();
+  assert.ok(MomentaMouse.getScroller(element));
+
+  resize(element, fittingGeometry, content);
+  await nextAnimationFrame();
+  await nextAnimationFrame();
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+});
+
+test("resizes are not checked after observation stops", async () => {
+  const element = document.createElement("div");
+  element.classList.add("scrollable");
+  document.body.append(element);
+  defineScrollGeometry(element, { scrollWidth: 100, scrollHeight: 100 });
+
+  MomentaMouse.autoCreateScrollers({ rootSelector: "body", observe: true });
+  await nextAnimationFrame();
+  MomentaMouse.stopObserving();
+
+  resize(element, { scrollWidth: 100, scrollHeight: 1000 });
+  await nextAnimationFrame();
+  await nextAnimationFrame();
+  assert.equal(MomentaMouse.getScroller(element), undefined);
+});
+
+test("a class change on an element outside the scroller's ancestors does not refresh it", async () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.classList.add("scrollable");
+  const sibling = document.createElement("div");
+  document.body.append(sibling);
+  MomentaMouse.createScroller(scrollContainer);
+  await nextAnimationFrame();
+  const axesChangeEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerAxesChange"
+  );
+
+  // A refresh would pick up the new direction
+  scrollContainer.style.setProperty("direction", "rtl");
+  sibling.classList.add("rtl");
+  await afterMutationsAndNextFrame();
+  assert.equal(axesChangeEvents.length, 0);
+
+  document.body.classList.add("changed");
+  await afterMutationsAndNextFrame();
+  assert.equal(axesChangeEvents.length, 1);
+});
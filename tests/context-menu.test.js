@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { createScroller, drag } from "./helpers.js";
+
+const dragButtons = ["primary", "secondary"];
+
+const dispatchContextMenu = (target) => {
+  const event = new MouseEvent("contextmenu", {
+    bubbles: true,
+    cancelable: true,
+  });
+  target.dispatchEvent(event);
+  return event;
+};
+
+test("the context menu after a secondary drag past the threshold is suppressed once", () => {
+  const scrollContainer = createScroller({ dragButtons });
+
+  drag(
+    scrollContainer,
+    [
+      [100, 100, 0],
+      [90, 100, 10],
+      [80, 100, 20],
+      [80, 100, 500],
+    ],
+    { buttons: 2 }
+  );
+
+  assert.equal(dispatchContextMenu(scrollContainer).defaultPrevented, true);
+  assert.equal(dispatchContextMenu(scrollContainer).defaultPrevented, false);
+});
+
+test("the context menu after a secondary press within the threshold is not suppressed", () => {
+  const scrollContainer = createScroller({ dragButtons });
+
+  drag(
+    scrollContainer,
+    [
+      [100, 100, 0],
+      [97, 102, 10],
+      [97, 102, 500],
+    ],
+    { buttons: 2 }
+  );
+
+  assert.equal(dispatchContextMenu(scrollContainer).defaultPrevented, false);
+});
+
+test("a suppression that no context menu consumed ends at the next pointerdown", () => {
+  const scrollContainer = createScroller({ dragButtons });
+
+  drag(
+    scrollContainer,
+    [
+      [100, 100, 0],
+      [80, 100, 10],
+      [80, 100, 500],
+    ],
+    { buttons: 2 }
+  );
+  drag(
+    scrollContainer,
+    [
+      [100, 100, 1000],
+      [100, 100, 1500],
+    ],
+    { buttons: 2 }
+  );
+
+  assert.equal(dispatchContextMenu(scrollContainer).defaultPrevented, false);
+});
+
+const secondaryDragPoints = [
+  [100, 100, 0],
+  [80, 100, 10],
+  [80, 100, 500],
+];
+
+test("a suppression that no context menu consumed ends shortly after pointerup", async () => {
+  const scrollContainer = createScroller({ dragButtons });
+
+  drag(scrollContainer, secondaryDragPoints, { buttons: 2 });
+  await new Promise((resolve) => setTimeout(resolve));
+
+  assert.equal(dispatchContextMenu(document.body).defaultPrevented, false);
+});
+
+test("destroying the scroller ends a pending suppression", () => {
+  const scrollContainer = createScroller({ dragButtons });
+
+  drag(scrollContainer, secondaryDragPoints, { buttons: 2 });
+  MomentaMouse.getScroller(scrollContainer).destroy();
+
+  assert.equal(dispatchContextMenu(document.body).defaultPrevented, false);
+});
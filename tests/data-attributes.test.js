@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import {
+  captureEvents,
+  createScrollContainer,
+  reportedErrors,
+} from "./helpers.js";
+
+const afterMutations = () => Promise.resolve();
+const getCursor = (element) => element.style.getPropertyValue("cursor");
+
+test("data attributes are applied as scroller options", () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-cursor", "move");
+
+  MomentaMouse.createScroller(scrollContainer, { grabCursor: "pointer" });
+  assert.equal(getCursor(scrollContainer), "move");
+});
+
+test("an invalid data attribute is skipped and reported without stopping creation", () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-deceleration", "sideways");
+  scrollContainer.setAttribute("data-momenta-cursor", "move");
+  const errorEvents = captureEvents(
+    document,
+    "momentaMouseScrollerDataAttributeError"
+  );
+
+  const scroller = MomentaMouse.createScroller(scrollContainer);
+
+  assert.ok(scroller);
+  assert.equal(getCursor(scrollContainer), "move");
+  assert.equal(errorEvents.length, 1);
+  assert.equal(errorEvents[0].detail.scrollContainer, scrollContainer);
+  assert.equal(
+    errorEvents[0].detail.attributeName,
+    "data-momenta-deceleration"
+  );
+  assert.equal(errorEvents[0].detail.attributeValue, "sideways");
+  assert.equal(reportedErrors.length, 1);
+  assert.equal(reportedErrors[0], errorEvents[0].detail.error);
+});
+
+test("canceling the error event prevents the error from being reported", () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-axes", "diagonal");
+  document.addEventListener(
+    "momentaMouseScrollerDataAttributeError",
+    (event) => event.preventDefault(),
+    { once: true }
+  );
+
+  MomentaMouse.createScroller(scrollContainer);
+  assert.equal(reportedErrors.length, 0);
+});
+
+test("autoCreateScrollers keeps scanning past elements with invalid data attributes", () => {
+  const invalidScrollContainer = createScrollContainer();
+  invalidScrollContainer.setAttribute("data-momenta-drag-buttons", "left");
+  const validScrollContainer = createScrollContainer();
+
+  MomentaMouse.autoCreateScrollers({ rootSelector: "body" });
+
+  assert.ok(MomentaMouse.getScroller(invalidScrollContainer));
+  assert.ok(MomentaMouse.getScroller(validScrollContainer));
+  assert.equal(reportedErrors.length, 1);
+});
+
+test("an invalid live attribute change is reported and keeps the previous value", async () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-cursor", "move");
+  MomentaMouse.createScroller(scrollContainer);
+  const errorEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerDataAttributeError"
+  );
+
+  scrollContainer.setAttribute("data-momenta-overscroll-effect", "wobble");
+  await afterMutations();
+
+  assert.equal(errorEvents.length, 1);
+  assert.equal(reportedErrors.length, 1);
+  assert.equal(getCursor(scrollContainer), "move");
+
+  scrollContainer.setAttribute("data-momenta-cursor", "crosshair");
+  await afterMutations();
+  assert.equal(getCursor(scrollContainer), "crosshair");
+});
+
+test("removing a data attribute restores the option the scroller was created with", async () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-cursor", "move");
+  MomentaMouse.createScroller(scrollContainer, { grabCursor: "pointer" });
+
+  scrollContainer.removeAttribute("data-momenta-cursor");
+  await afterMutations();
+  assert.equal(getCursor(scrollContainer), "pointer");
+});
+
+test("removing a data attribute restores the default the scroller was created with", async () => {
+  MomentaMouse.setDefaults({ grabCursor: "pointer" });
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-cursor", "move");
+  MomentaMouse.createScroller(scrollContainer);
+  MomentaMouse.setDefaults();
+
+  scrollContainer.removeAttribute("data-momenta-cursor");
+  await afterMutations();
+  assert.equal(getCursor(scrollContainer), "pointer");
+});
+
+test("removing a data attribute without a creation option restores the default", async () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-cursor", "move");
+  MomentaMouse.createScroller(scrollContainer);
+
+  scrollContainer.removeAttribute("data-momenta-cursor");
+  await afterMutations();
+  assert.equal(getCursor(scrollContainer), "grab");
+});
+
+test("a glow color attribute that is not a CSS color is rejected", () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute(
+    "data-momenta-glow-color",
+    "red); pointer-events: auto; background: url(https://example.com/"
+  );
+  const errorEvents = captureEvents(
+    document,
+    "momentaMouseScrollerDataAttributeError"
+  );
+
+  MomentaMouse.createScroller(scrollContainer);
+  assert.equal(errorEvents.length, 1);
+  assert.equal(errorEvents[0].detail.attributeName, "data-momenta-glow-color");
+});
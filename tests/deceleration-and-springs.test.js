@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScroller } from "./helpers.js";
+
+const assertCloseTo = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 0.5,
+    `expected ${actual} to be within 0.5 of ${expected}`
+  );
+
+// Flicks from near the top border into it and returns the vertical overscroll
+// of every frame until the bounce stops
+async function recordBounce(scrollContainer) {
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+  const bounceStop = new Promise((resolve) =>
+    scrollContainer.addEventListener(
+      "momentaMouseScrollerBounceStop",
+      resolve,
+      { once: true }
+    )
+  );
+  const translates = [];
+  let recording = true;
+  const record = () => {
+    if (!recording) return;
+
+    const [, translateY = "0"] =
+      scrollContainer.style
+        .getPropertyValue("transform")
+        .match(/^translate3d\([^,]+, ([^,]+)px/) || [];
+    translates.push(Number(translateY));
+    requestAnimationFrame(record);
+  };
+
+  scrollContainer.scrollTop = 50;
+  requestAnimationFrame(record);
+  await scroller.flick({ velocityY: 1 });
+  await bounceStop;
+  recording = false;
+
+  return translates;
+}
+
+test("setDeceleration sets the deceleration in pixels per millisecond squared", async () => {
+  const scrollContainer = createScroller(
+    {},
+    { scrollWidth: 100, scrollHeight: 100000 }
+  );
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+
+  // A flick of 1 pixel per millisecond travels 1 / (2 * deceleration) pixels
+  await scroller.setDeceleration(0.002).flick({ velocityY: -1 });
+  assertCloseTo(scrollContainer.scrollTop, 250);
+
+  scrollContainer.scrollTop = 0;
+  await scroller.setDecelerationLevel("minimum").flick({ velocityY: -1 });
+  assertCloseTo(scrollContainer.scrollTop, 1000);
+});
+
+test("setDeceleration rejects values that are not finite and non-negative", () => {
+  const scroller = MomentaMouse.getScroller(createScroller());
+
+  assert.throws(() => scroller.setDeceleration(-0.001), RangeError);
+  assert.throws(() => scroller.setDeceleration(Infinity), RangeError);
+  assert.throws(() => scroller.setDeceleration("0.001"), TypeError);
+});
+
+test("a softer spring lets the content travel farther past the border", async () => {
+  const scrollContainer = createScroller();
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+
+  scroller.setBorderBounciness({ damping: 0.02, stiffness: 0.0001 });
+  const stiffTranslates = await recordBounce(scrollContainer);
+  scroller.setBorderBounciness({ damping: 0.01, stiffness: 0.000025 });
+  const softTranslates = await recordBounce(scrollContainer);
+
+  assert.ok(Math.max(...stiffTranslates) > 0);
+  assert.ok(Math.max(...softTranslates) > 1.5 * Math.max(...stiffTranslates));
+  assert.ok(Math.min(...stiffTranslates) >= 0);
+  assert.ok(Math.min(...softTranslates) >= 0);
+});
+
+test("an underdamped spring oscillates before settling", async () => {
+  const scrollContainer = createScroller();
+  MomentaMouse.getScroller(scrollContainer).setBorderBounciness({
+    damping: 0.002,
+    stiffness: 0.0001,
+  });
+
+  const translates = await recordBounce(scrollContainer);
+  assert.ok(Math.max(...translates) > 0);
+  assert.ok(Math.min(...translates) < 0);
+  assert.equal(
+    scrollContainer.style.getPropertyValue("transform"),
+    "translate3d(0px, 0px, 0px)"
+  );
+});
+
+test('the "none" border bounciness level turns bouncing off', async () => {
+  const scrollContainer = createScroller();
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+  const bounceStartEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerBounceStart"
+  );
+
+  scroller.setBorderBouncinessLevel("none");
+  scrollContainer.scrollTop = 50;
+  await scroller.flick({ velocityY: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.equal(scrollContainer.scrollTop, 0);
+  assert.equal(bounceStartEvents.length, 0);
+});
+
+test("setBorderBounciness rejects springs without positive damping and stiffness", () => {
+  const scroller = MomentaMouse.getScroller(createScroller());
+
+  assert.throws(
+    () => scroller.setBorderBounciness({ damping: 0 }),
+    /damping must be a finite Number greater than 0/
+  );
+  assert.throws(
+    () => scroller.setBorderBounciness({ stiffness: -1 }),
+    /stiffness must be a finite Number greater than 0/
+  );
+});
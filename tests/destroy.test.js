@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScrollContainer } from "./helpers.js";
+
+test("destroy restores the scroll container and releases it", () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.classList.add("list");
+  scrollContainer.style.setProperty("cursor", "pointer");
+
+  const scroller = MomentaMouse.createScroller(scrollContainer);
+  assert.equal(scrollContainer.getAttribute("tabindex"), "0");
+  assert.equal(scrollContainer.style.getPropertyValue("cursor"), "grab");
+
+  assert.equal(scroller.destroy(), scroller);
+  assert.equal(scroller.destroy(), scroller);
+  assert.equal(scrollContainer.className, "list");
+  assert.equal(scrollContainer.hasAttribute("tabindex"), false);
+  assert.equal(scrollContainer.style.getPropertyValue("cursor"), "pointer");
+  assert.equal(MomentaMouse.getScroller(scrollContainer), undefined);
+
+  const newScroller = MomentaMouse.createScroller(scrollContainer);
+  assert.notEqual(newScroller, scroller);
+  assert.equal(MomentaMouse.getScroller(scrollContainer), newScroller);
+});
+
+test("destroyAll destroys every scroller", () => {
+  const scrollContainers = [createScrollContainer(), createScrollContainer()];
+  scrollContainers.forEach((scrollContainer) =>
+    MomentaMouse.createScroller(scrollContainer)
+  );
+  const destroyEvents = captureEvents(document, "momentaMouseScrollerDestroy");
+
+  assert.equal(MomentaMouse.destroyAll(), MomentaMouse);
+  assert.deepEqual(
+    destroyEvents.map((event) => event.detail.scrollContainer),
+    scrollContainers
+  );
+  assert.equal(MomentaMouse.getAllScrollers().length, 0);
+});
+
+test("destroying the last scroller removes the global listeners", (t) => {
+  const reducedMotionMediaQueryList = matchMedia(
+    "(prefers-reduced-motion: reduce)"
+  );
+  const signals = [];
+  t.mock.method(
+    reducedMotionMediaQueryList,
+    "addEventListener",
+    (type, listener, { signal }) => signals.push(signal)
+  );
+
+  const firstScroller = MomentaMouse.createScroller(createScrollContainer());
+  const lastScroller = MomentaMouse.createScroller(createScrollContainer());
+  assert.equal(signals.length, 1);
+
+  firstScroller.destroy();
+  assert.equal(signals[0].aborted, false);
+  lastScroller.destroy();
+  assert.equal(signals[0].aborted, true);
+});
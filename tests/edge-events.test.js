@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScroller } from "./helpers.js";
+
+// The bottom edge is at a scrollTop of 9900, and the default edge approach
+// distance is 200 pixels
+function createEdgeScroller() {
+  const scrollContainer = createScroller(
+    {},
+    { scrollWidth: 100, scrollHeight: 10000 }
+  );
+
+  return {
+    scrollContainer,
+    scroller: MomentaMouse.getScroller(scrollContainer),
+    approachEvents: captureEvents(
+      scrollContainer,
+      "momentaMouseScrollerEdgeApproach"
+    ),
+    reachEvents: captureEvents(
+      scrollContainer,
+      "momentaMouseScrollerEdgeReach"
+    ),
+  };
+}
+
+// Dispatches the scroll event right away instead of in the next frame
+const scrollTo = (scrollContainer, scrollTop) => {
+  scrollContainer.scrollTop = scrollTop;
+  scrollContainer.dispatchEvent(new Event("scroll"));
+};
+
+test("a momentum scroll predicted to end near an edge dispatches the approach right away", async () => {
+  const { scrollContainer, scroller, approachEvents, reachEvents } =
+    createEdgeScroller();
+  scrollContainer.scrollTop = 9000;
+
+  const flick = scroller.flick({ velocityY: -1.5 });
+  assert.equal(approachEvents.length, 1);
+  assert.equal(approachEvents[0].detail.edge, "bottom");
+  assert.equal(approachEvents[0].detail.distance, 900);
+  assert.equal(approachEvents[0].detail.projectedDistance, 0);
+  assert.equal(reachEvents.length, 0);
+
+  await flick;
+  assert.equal(scrollContainer.scrollTop, 9900);
+  assert.equal(approachEvents.length, 1);
+  assert.equal(reachEvents.length, 1);
+  assert.equal(reachEvents[0].detail.edge, "bottom");
+});
+
+test("edges dispatch again only after the scroll container moves back out", () => {
+  const { scrollContainer, approachEvents, reachEvents } = createEdgeScroller();
+
+  scrollTo(scrollContainer, 9750);
+  scrollTo(scrollContainer, 9900);
+  scrollTo(scrollContainer, 9800);
+  scrollTo(scrollContainer, 9900);
+  assert.deepEqual(
+    approachEvents.map(({ detail }) => [detail.edge, detail.distance]),
+    [["bottom", 150]]
+  );
+  assert.equal(reachEvents.length, 2);
+
+  scrollTo(scrollContainer, 5000);
+  scrollTo(scrollContainer, 9800);
+  assert.deepEqual(
+    approachEvents.map(({ detail }) => [detail.edge, detail.distance]),
+    [
+      ["bottom", 150],
+      ["bottom", 100],
+    ]
+  );
+});
+
+test("edges within the distance when the scroller is created do not dispatch", () => {
+  const { scrollContainer, approachEvents, reachEvents } = createEdgeScroller();
+
+  scrollTo(scrollContainer, 100);
+  scrollTo(scrollContainer, 0);
+  assert.equal(approachEvents.length, 0);
+  assert.equal(reachEvents.length, 1);
+  assert.equal(reachEvents[0].detail.edge, "top");
+});
+
+test("setEdgeApproachDistance dispatches for edges that are now within the distance", () => {
+  const { scrollContainer, scroller, approachEvents } = createEdgeScroller();
+  scrollTo(scrollContainer, 500);
+
+  scroller.setEdgeApproachDistance(600);
+  assert.deepEqual(
+    approachEvents.map(({ detail }) => [detail.edge, detail.distance]),
+    [["top", 500]]
+  );
+  assert.throws(() => scroller.setEdgeApproachDistance(-1), RangeError);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { createScroller, placeElement } from "./helpers.js";
+
+const assertCloseTo = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 0.5,
+    `expected ${actual} to be within 0.5 of ${expected}`
+  );
+
+test("flickTo comes to rest at the given position", async () => {
+  const scrollContainer = createScroller();
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+
+  const scrollStopDetail = await scroller.flickTo({ left: 123, top: 456 });
+  assertCloseTo(scrollContainer.scrollLeft, 123);
+  assertCloseTo(scrollContainer.scrollTop, 456);
+  assert.equal(scrollStopDetail.interruptedBy, null);
+  assert.ok(scrollStopDetail.initialVelocityX < 0);
+  assert.ok(scrollStopDetail.initialVelocityY < 0);
+
+  await scroller.flickTo({ top: 100 });
+  assertCloseTo(scrollContainer.scrollLeft, 123);
+  assertCloseTo(scrollContainer.scrollTop, 100);
+});
+
+test("flickTo lands on the target at the minimum and maximum deceleration levels", async () => {
+  const scrollContainer = createScroller();
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+
+  for (const decelerationLevel of ["minimum", "maximum"]) {
+    scroller.setDecelerationLevel(decelerationLevel);
+    const top = decelerationLevel === "minimum" ? 700 : 200;
+    await scroller.flickTo({ top });
+    assertCloseTo(scrollContainer.scrollTop, top);
+  }
+});
+
+test("flickTo clamps the position to the scrollable area", async () => {
+  const scrollContainer = createScroller();
+
+  await MomentaMouse.getScroller(scrollContainer).flickTo({
+    left: -500,
+    top: 5000,
+  });
+  assert.equal(scrollContainer.scrollLeft, 0);
+  assertCloseTo(scrollContainer.scrollTop, 900);
+});
+
+test("flickTo throws when momentum scrolls never come to rest", () => {
+  const scroller = MomentaMouse.getScroller(createScroller());
+  scroller.setDecelerationLevel("none");
+
+  assert.throws(
+    () => scroller.flickTo({ top: 100 }),
+    /requires a physics model and deceleration that bring momentum scrolls to rest/
+  );
+});
+
+test("flickToElement aligns the element within the scroll container", async () => {
+  const scrollContainer = createScroller();
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+  const element = placeElement(document.createElement("div"), scrollContainer, {
+    left: 300,
+    top: 400,
+    width: 50,
+    height: 50,
+  });
+  scrollContainer.append(element);
+
+  await scroller.flickToElement(element);
+  assertCloseTo(scrollContainer.scrollTop, 400);
+  assertCloseTo(scrollContainer.scrollLeft, 250);
+
+  await scroller.flickToElement(element, { block: "center", inline: "start" });
+  assertCloseTo(scrollContainer.scrollTop, 375);
+  assertCloseTo(scrollContainer.scrollLeft, 300);
+});
+
+test("flickToElement rejects elements outside the scroll container", () => {
+  const scrollContainer = createScroller();
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+
+  assert.throws(
+    () => scroller.flickToElement(document.body),
+    /must be a descendant/
+  );
+  assert.throws(
+    () => scroller.flickToElement(scrollContainer),
+    /must be a descendant/
+  );
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScroller } from "./helpers.js";
+
+const scrollGeometry = { scrollWidth: 100000, scrollHeight: 100000 };
+
+test("flick scrolls against the pointer velocity and resolves with the stop event details", async () => {
+  const scrollContainer = createScroller({}, scrollGeometry);
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+  const startEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerScrollStart"
+  );
+  const stopEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerScrollStop"
+  );
+
+  const scrollStopDetail = await scroller.flick({
+    velocityX: -1,
+    velocityY: -0.5,
+  });
+
+  assert.ok(scrollContainer.scrollLeft > 0);
+  assert.ok(scrollContainer.scrollTop > 0);
+  assert.ok(
+    Math.abs(scrollContainer.scrollLeft - 2 * scrollContainer.scrollTop) < 1
+  );
+  assert.equal(startEvents.length, 1);
+  assert.equal(stopEvents.length, 1);
+  assert.equal(scrollStopDetail, stopEvents[0].detail);
+  assert.equal(scrollStopDetail.interruptedBy, null);
+  assert.deepEqual(scrollStopDetail.endPoint, [
+    scrollContainer.scrollLeft,
+    scrollContainer.scrollTop,
+  ]);
+});
+
+test("flick runs while the scroller is inactive", async () => {
+  const scrollContainer = createScroller(
+    { activateImmediately: false },
+    scrollGeometry
+  );
+
+  await MomentaMouse.getScroller(scrollContainer).flick({ velocityY: -1 });
+  assert.ok(scrollContainer.scrollTop > 0);
+});
+
+test("a new flick interrupts the flick in progress", async () => {
+  const scrollContainer = createScroller({}, scrollGeometry);
+  const scroller = MomentaMouse.getScroller(scrollContainer);
+
+  const firstFlick = scroller.flick({ velocityY: -1 });
+  const secondFlick = scroller.flick({ velocityY: -1 });
+
+  assert.equal((await firstFlick).interruptedBy, "New momentum scroll");
+  assert.equal((await secondFlick).interruptedBy, null);
+});
+
+test("flick rejects velocities that are not finite numbers", () => {
+  const scroller = MomentaMouse.getScroller(createScroller());
+
+  assert.throws(() => scroller.flick({ velocityX: Infinity }), RangeError);
+  assert.throws(() => scroller.flick({ velocityY: "1" }), TypeError);
+});
@@ -0,0 +1,198 @@
+import { afterEach } from "node:test";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { notifyResize } from "./setup.js";
+
+// Errors passed to reportError during the current test
+export const reportedErrors = [];
+addEventListener("error", (event) => {
+  reportedErrors.push(event.error);
+  event.preventDefault();
+});
+
+// Every test file imports this module, so each test starts from an empty
+// document with no scrollers, observers or changed global settings
+afterEach(() => {
+  MomentaMouse.stopObserving()
+    .setDefaults()
+    .setAllowedPointerTypes()
+    .setRoutingThreshold()
+    .setReducedMotionPolicy()
+    .destroyAll();
+  document.body.replaceChildren();
+  reportedErrors.length = 0;
+});
+
+export function defineScrollGeometry(
+  element,
+  {
+    clientWidth = 100,
+    clientHeight = 100,
+    scrollWidth = 1000,
+    scrollHeight = 1000,
+  } = {}
+) {
+  let scrollLeft = 0;
+  let scrollTop = 0;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  // As in browsers, scroll position changes fire one scroll event per frame
+  let scrollEventRequestId = null;
+  const scrollTo = (left, top) => {
+    const positionChanged = left !== scrollLeft || top !== scrollTop;
+    scrollLeft = left;
+    scrollTop = top;
+    if (!positionChanged || scrollEventRequestId) return;
+
+    scrollEventRequestId = requestAnimationFrame(() => {
+      scrollEventRequestId = null;
+      element.dispatchEvent(new Event("scroll"));
+    });
+  };
+
+  Object.defineProperties(element, {
+    clientWidth: { configurable: true, get: () => clientWidth },
+    clientHeight: { configurable: true, get: () => clientHeight },
+    scrollWidth: { configurable: true, get: () => scrollWidth },
+    scrollHeight: { configurable: true, get: () => scrollHeight },
+    scrollLeft: {
+      configurable: true,
+      get: () => scrollLeft,
+      set: (value) =>
+        scrollTo(clamp(value, scrollWidth - clientWidth), scrollTop),
+    },
+    scrollTop: {
+      configurable: true,
+      get: () => scrollTop,
+      set: (value) =>
+        scrollTo(scrollLeft, clamp(value, scrollHeight - clientHeight)),
+    },
+  });
+
+  return element;
+}
+
+// Stands in for a layout change: redefines the scroll geometry of element and
+// reports target as resized to every resize observer watching it
+export function resize(element, scrollGeometry, target = element) {
+  defineScrollGeometry(element, scrollGeometry);
+  notifyResize(target);
+}
+
+export function createScrollContainer({
+  parent = document.body,
+  ...scrollGeometry
+} = {}) {
+  const scrollContainer = document.createElement("div");
+  scrollContainer.style.setProperty("overflow-x", "auto");
+  scrollContainer.style.setProperty("overflow-y", "auto");
+  defineScrollGeometry(scrollContainer, scrollGeometry);
+  parent.append(scrollContainer);
+  return scrollContainer;
+}
+
+// jsdom does no layout, so element is given a box at left and top within the
+// scrolled content of scrollContainer, which sits at the viewport origin
+export function placeElement(
+  element,
+  scrollContainer,
+  { left = 0, top = 0, width = 100, height = 100 } = {}
+) {
+  element.getBoundingClientRect = () => {
+    const x = left - scrollContainer.scrollLeft;
+    const y = top - scrollContainer.scrollTop;
+    return {
+      x,
+      y,
+      left: x,
+      top: y,
+      right: x + width,
+      bottom: y + height,
+      width,
+      height,
+    };
+  };
+
+  return element;
+}
+
+// Creates a scroll container with a scroller and returns the scroll container
+export function createScroller(scrollerOptions = {}, scrollGeometry = {}) {
+  const scrollContainer = createScrollContainer(scrollGeometry);
+  MomentaMouse.createScroller(scrollContainer, scrollerOptions);
+  return scrollContainer;
+}
+
+export function dispatchPointerEvent(
+  target,
+  type,
+  {
+    screenX = 0,
+    screenY = 0,
+    clientX = screenX,
+    clientY = screenY,
+    buttons = 1,
+    pointerId = 1,
+    pointerType = "mouse",
+    timeStamp,
+  } = {}
+) {
+  const event = new PointerEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    screenX,
+    screenY,
+    clientX,
+    clientY,
+    buttons,
+    pointerId,
+    pointerType,
+    isPrimary: true,
+  });
+
+  if (timeStamp !== undefined)
+    Object.defineProperty(event, "timeStamp", { value: timeStamp });
+
+  target.dispatchEvent(event);
+  return event;
+}
+
+// Drags along [screenX, screenY, timeStamp] points, from pointerdown to pointerup
+export function drag(
+  target,
+  points,
+  { buttons = 1, endType = "pointerup" } = {}
+) {
+  const [[startX, startY, startTime], ...movePoints] = points;
+  const [endX, endY, endTime] = movePoints.pop();
+
+  dispatchPointerEvent(target, "pointerdown", {
+    screenX: startX,
+    screenY: startY,
+    timeStamp: startTime,
+    buttons,
+  });
+  movePoints.forEach(([screenX, screenY, timeStamp]) =>
+    dispatchPointerEvent(target, "pointermove", {
+      screenX,
+      screenY,
+      timeStamp,
+      buttons,
+    })
+  );
+  dispatchPointerEvent(target, endType, {
+    screenX: endX,
+    screenY: endY,
+    timeStamp: endTime,
+    buttons: 0,
+  });
+}
+
+export const nextAnimationFrame = () =>
+  new Promise((resolve) => requestAnimationFrame(resolve));
+
+export function captureEvents(target, type) {
+  const events = [];
+  target.addEventListener(type, (event) => events.push(event));
+  return events;
+}
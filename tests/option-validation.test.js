@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { createScrollContainer } from "./helpers.js";
+
+const invalidOptions = [
+  { unknownOption: true },
+  { deceleration: -1 },
+  { deceleration: "very-low" },
+  { physicsModel: "friction" },
+  { physicsModel: {} },
+  { physicsModel: null },
+  { bounciness: "bogus" },
+  { bounciness: { stiffness: -1 } },
+  { grabCursor: 5 },
+  { allowReactiveCursor: "yes" },
+  { axes: "diagonal" },
+  { successiveFlickMultiplier: { maxMultiplier: 0 } },
+  { velocityEstimator: "median" },
+  { velocityEstimator: null },
+  { velocityEstimator: { getVelocity: 1 } },
+  { routingThreshold: -5 },
+  { routingThreshold: { threshold: 5, deadZoneDuration: -1 } },
+  { dragButtons: [] },
+  { dragButtons: ["left"] },
+  { overscrollStrategy: "margin" },
+  { overscrollEffect: "wobble" },
+  { glowColor: 0 },
+  { glowColor: "red; z-index: 0" },
+  { scrollChaining: null },
+  { edgeApproachDistance: -1 },
+  { pullToRefresh: null },
+  { pullToRefresh: { threshold: 0 } },
+  { pagingMode: { maxPagesPerFlick: 1.5 } },
+  { pagingMode: { pageWidth: 0 } },
+];
+
+test("setDefaults rejects invalid option values right away", () => {
+  invalidOptions.forEach((scrollerDefaults) =>
+    assert.throws(
+      () => MomentaMouse.setDefaults(scrollerDefaults),
+      undefined,
+      JSON.stringify(scrollerDefaults)
+    )
+  );
+});
+
+test("createScroller rejects invalid option values without creating a scroller", () => {
+  const scrollContainer = createScrollContainer();
+
+  invalidOptions.forEach((scrollerOptions) => {
+    assert.throws(
+      () => MomentaMouse.createScroller(scrollContainer, scrollerOptions),
+      undefined,
+      JSON.stringify(scrollerOptions)
+    );
+    assert.equal(MomentaMouse.getScroller(scrollContainer), undefined);
+  });
+});
+
+test("valid options are accepted and applied", () => {
+  MomentaMouse.setDefaults({
+    deceleration: "low",
+    physicsModel: "exponential-friction",
+    bounciness: { stiffness: 0.01, damping: 0.5 },
+    grabCursor: "move",
+    successiveFlickMultiplier: { maxMultiplier: 3 },
+    velocityEstimator: { getVelocity: () => 0 },
+    routingThreshold: { threshold: 5 },
+    dragButtons: ["primary", "middle"],
+    pullToRefresh: { threshold: 60 },
+    pagingMode: { pageWidth: 200, maxPagesPerFlick: 2 },
+  });
+
+  const scrollContainer = createScrollContainer();
+  MomentaMouse.createScroller(scrollContainer, { grabbingCursor: "move" });
+  assert.equal(scrollContainer.style.getPropertyValue("cursor"), "move");
+});
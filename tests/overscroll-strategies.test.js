@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import {
+  createScrollContainer,
+  createScroller,
+  dispatchPointerEvent,
+  reportedErrors,
+} from "./helpers.js";
+
+// Drags down from the top border and keeps the pointer down
+function pullDown(target) {
+  dispatchPointerEvent(target, "pointerdown", { screenY: 100, timeStamp: 0 });
+  dispatchPointerEvent(target, "pointermove", { screenY: 130, timeStamp: 10 });
+}
+
+function createWrappedScrollContainer() {
+  const scrollContainer = createScrollContainer();
+  const wrapper = document.createElement("div");
+  wrapper.setAttribute("data-momenta-overscroll-wrapper", "");
+  wrapper.style.setProperty("transform", "scale(2)");
+  const sibling = document.createElement("p");
+  scrollContainer.append(wrapper, sibling);
+  return { scrollContainer, wrapper, sibling };
+}
+
+test('"transform" moves the scroll container while it is pulled past a border', () => {
+  const scrollContainer = createScroller();
+
+  pullDown(scrollContainer);
+  assert.match(
+    scrollContainer.style.getPropertyValue("transform"),
+    /^translate3d\(0px, [1-9][\d.]*px, 0px\)$/
+  );
+});
+
+test('"wrapper" moves the marked child without moving any nodes', () => {
+  const { scrollContainer, wrapper, sibling } = createWrappedScrollContainer();
+  MomentaMouse.createScroller(scrollContainer, {
+    overscrollStrategy: "wrapper",
+  });
+
+  assert.deepEqual(Array.from(scrollContainer.children), [wrapper, sibling]);
+
+  pullDown(scrollContainer);
+  assert.match(
+    wrapper.style.getPropertyValue("transform"),
+    /^translate3d\(0px, [1-9][\d.]*px, 0px\)$/
+  );
+  assert.equal(scrollContainer.style.getPropertyValue("transform"), "");
+
+  MomentaMouse.getScroller(scrollContainer).destroy();
+  assert.deepEqual(Array.from(scrollContainer.children), [wrapper, sibling]);
+  assert.equal(wrapper.style.getPropertyValue("transform"), "scale(2)");
+});
+
+test('"wrapper" is rejected when the scroll container has no marked child', () => {
+  const scroller = MomentaMouse.createScroller(createScrollContainer());
+
+  assert.throws(
+    () => scroller.setOverscrollStrategy("wrapper"),
+    /data-momenta-overscroll-wrapper/
+  );
+});
+
+test('"wrapper" from a data attribute is reported when there is no marked child', () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.setAttribute("data-momenta-overscroll-strategy", "wrapper");
+  MomentaMouse.createScroller(scrollContainer);
+
+  assert.equal(reportedErrors.length, 1);
+  assert.match(reportedErrors[0].message, /data-momenta-overscroll-wrapper/);
+});
+
+test('"custom-properties" writes the offset to custom properties', () => {
+  const scrollContainer = createScroller({
+    overscrollStrategy: "custom-properties",
+  });
+
+  pullDown(scrollContainer);
+  assert.equal(
+    scrollContainer.style.getPropertyValue("--momenta-mouse-overscroll-x"),
+    "0px"
+  );
+  assert.match(
+    scrollContainer.style.getPropertyValue("--momenta-mouse-overscroll-y"),
+    /^[1-9][\d.]*px$/
+  );
+  assert.equal(scrollContainer.style.getPropertyValue("transform"), "");
+});
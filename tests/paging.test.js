@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScroller, drag } from "./helpers.js";
+
+const assertCloseTo = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 0.5,
+    `expected ${actual} to be within 0.5 of ${expected}`
+  );
+
+// Pages are 100 pixels wide, and a flick at velocityX would travel about
+// 500 * velocityX ** 2 pixels without paging
+function createPagingScroller(pagingOptions) {
+  const scrollContainer = createScroller(
+    { pagingMode: { ...pagingOptions } },
+    { scrollWidth: 1000, scrollHeight: 100 }
+  );
+  const pageChangeEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerPageChange"
+  );
+
+  return {
+    scrollContainer,
+    scroller: MomentaMouse.getScroller(scrollContainer),
+    pageChangeEvents,
+  };
+}
+
+test("a flick advances one page and reports the page change", async () => {
+  const { scrollContainer, scroller, pageChangeEvents } =
+    createPagingScroller();
+
+  await scroller.flick({ velocityX: -1 });
+  assertCloseTo(scrollContainer.scrollLeft, 100);
+  assert.equal(pageChangeEvents.length, 1);
+  assert.deepEqual(
+    {
+      previousPageIndexX: pageChangeEvents[0].detail.previousPageIndexX,
+      pageIndexX: pageChangeEvents[0].detail.pageIndexX,
+    },
+    { previousPageIndexX: 0, pageIndexX: 1 }
+  );
+});
+
+test("a slow flick still advances one page", async () => {
+  const { scrollContainer, scroller } = createPagingScroller();
+
+  await scroller.flick({ velocityX: -0.1 });
+  assertCloseTo(scrollContainer.scrollLeft, 100);
+});
+
+test("a flick advances at most maxPagesPerFlick pages", async () => {
+  const { scrollContainer, scroller, pageChangeEvents } = createPagingScroller({
+    maxPagesPerFlick: 3,
+  });
+
+  await scroller.flick({ velocityX: -1 });
+  assertCloseTo(scrollContainer.scrollLeft, 300);
+  assert.equal(pageChangeEvents[0].detail.pageIndexX, 3);
+});
+
+test("pages can have a configured size", async () => {
+  const { scrollContainer, scroller, pageChangeEvents } = createPagingScroller({
+    pageWidth: 250,
+  });
+
+  await scroller.flick({ velocityX: -1 });
+  assertCloseTo(scrollContainer.scrollLeft, 250);
+  assert.equal(pageChangeEvents[0].detail.pageIndexX, 1);
+});
+
+test("releasing a drag without a flick settles on the nearest page", async () => {
+  const { scrollContainer, pageChangeEvents } = createPagingScroller();
+  const scrollStop = new Promise((resolve) =>
+    scrollContainer.addEventListener("momentaMouseScrollerScrollStop", resolve)
+  );
+
+  drag(scrollContainer, [
+    [200, 50, 0],
+    [130, 50, 10],
+    [130, 50, 1000],
+  ]);
+  assert.equal(scrollContainer.scrollLeft, 70);
+
+  await scrollStop;
+  assertCloseTo(scrollContainer.scrollLeft, 100);
+  assert.equal(pageChangeEvents.length, 1);
+});
+
+test("paging options are validated", () => {
+  const scroller = MomentaMouse.getScroller(createScroller());
+
+  assert.throws(() => scroller.setPagingMode(true, { pageWidth: 0 }));
+  assert.throws(() => scroller.setPagingMode(true, { maxPagesPerFlick: 1.5 }));
+  assert.throws(() => scroller.setPagingMode("true"), TypeError);
+});
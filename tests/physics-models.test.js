@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScrollContainer } from "./helpers.js";
+
+const deceleration = 0.01;
+
+const assertAlmostEqual = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `expected ${actual} to be ${expected}`
+  );
+
+// Constant deceleration described only by its state, so that MomentaMouse has
+// to solve for its duration and for the initial velocity of flickTo
+const stateOnlyPhysicsModel = {
+  getState: (initialVelocity, elapsedTime) => {
+    const duration = initialVelocity / deceleration;
+    const elapsedTimeUntilRest = Math.min(elapsedTime, duration);
+
+    return {
+      position:
+        initialVelocity * elapsedTimeUntilRest -
+        0.5 * deceleration * elapsedTimeUntilRest ** 2,
+      velocity: initialVelocity - deceleration * elapsedTimeUntilRest,
+      done: elapsedTime >= duration,
+    };
+  },
+};
+
+async function flickTo(physicsModel, destination) {
+  const scrollContainer = createScrollContainer({ scrollHeight: 100 });
+  MomentaMouse.createScroller(scrollContainer)
+    .setDeceleration(deceleration)
+    .setPhysicsModel(physicsModel);
+  const scrollStartEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerScrollStart"
+  );
+
+  await MomentaMouse.getScroller(scrollContainer).flickTo(destination);
+
+  return {
+    initialVelocityX: scrollStartEvents[0].detail.initialVelocityX,
+    scrollLeft: scrollContainer.scrollLeft,
+  };
+}
+
+test("constant-deceleration lands on the flickTo destination", async () => {
+  const { initialVelocityX, scrollLeft } = await flickTo(
+    "constant-deceleration",
+    { left: 300 }
+  );
+
+  assertAlmostEqual(initialVelocityX, -Math.sqrt(2 * deceleration * 300));
+  assertAlmostEqual(scrollLeft, 300);
+});
+
+test("exponential-friction lands on the flickTo destination", async () => {
+  const timeConstant = 1 / (2 * deceleration);
+  const { initialVelocityX, scrollLeft } = await flickTo(
+    "exponential-friction",
+    { left: 300 }
+  );
+
+  assertAlmostEqual(initialVelocityX, -300 / timeConstant);
+  assertAlmostEqual(scrollLeft, 300);
+});
+
+test("custom models without getDuration or getInitialVelocity are solved numerically", async () => {
+  const { initialVelocityX, scrollLeft } = await flickTo(
+    stateOnlyPhysicsModel,
+    { left: 300 }
+  );
+
+  assertAlmostEqual(initialVelocityX, -Math.sqrt(2 * deceleration * 300));
+  assertAlmostEqual(scrollLeft, 300);
+});
+
+test("flickTo rejects physics models that never come to rest", () => {
+  const scroller = MomentaMouse.createScroller(createScrollContainer())
+    .setDeceleration(0)
+    .setPhysicsModel("exponential-friction");
+
+  assert.throws(
+    () => scroller.flickTo({ left: 300 }),
+    /bring momentum scrolls to rest/
+  );
+});
+
+test("exponential-friction comes to rest after the same time on every display", async () => {
+  const getElapsedTime = async () => {
+    const scrollContainer = createScrollContainer({ scrollWidth: 10000 });
+    const scrollStopEvents = captureEvents(
+      scrollContainer,
+      "momentaMouseScrollerScrollStop"
+    );
+    await MomentaMouse.createScroller(scrollContainer)
+      .setDeceleration(deceleration)
+      .setPhysicsModel("exponential-friction")
+      .flick({ velocityX: -1 });
+    return scrollStopEvents[0].detail.elapsedTime;
+  };
+
+  const elapsedTime = await getElapsedTime();
+  const { devicePixelRatio } = globalThis;
+  globalThis.devicePixelRatio = 3;
+  try {
+    assertAlmostEqual(await getElapsedTime(), elapsedTime, 20);
+  } finally {
+    globalThis.devicePixelRatio = devicePixelRatio;
+  }
+});
+
+test("distances solved for a custom model are reused by later flicks", async () => {
+  let getStateCalls = 0;
+  const countingPhysicsModel = {
+    getState: (initialVelocity, elapsedTime) => {
+      getStateCalls++;
+      return stateOnlyPhysicsModel.getState(initialVelocity, elapsedTime);
+    },
+  };
+
+  await flickTo(countingPhysicsModel, { left: 300 });
+  const firstFlickGetStateCalls = getStateCalls;
+  getStateCalls = 0;
+  const { scrollLeft } = await flickTo(countingPhysicsModel, { left: 300 });
+
+  assertAlmostEqual(scrollLeft, 300);
+  assert.ok(getStateCalls < firstFlickGetStateCalls / 10);
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import {
+  captureEvents,
+  createScroller,
+  drag,
+  nextAnimationFrame,
+} from "./helpers.js";
+
+const pullDownPoints = [
+  [100, 100, 0],
+  [100, 110, 10],
+  [100, 120, 20],
+  [100, 130, 30],
+  [100, 130, 500],
+];
+
+const pullToRefresh = { threshold: 1, refreshingOffset: 0 };
+
+test("releasing the pointer past the threshold refreshes", () => {
+  const scrollContainer = createScroller({ pullToRefresh });
+  const refreshEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerPullToRefresh"
+  );
+
+  drag(scrollContainer, pullDownPoints);
+  assert.equal(refreshEvents.length, 1);
+});
+
+test("a cancelled pointer past the threshold does not refresh", () => {
+  const scrollContainer = createScroller({ pullToRefresh });
+  const refreshEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerPullToRefresh"
+  );
+
+  drag(scrollContainer, pullDownPoints, { endType: "pointercancel" });
+  assert.equal(refreshEvents.length, 0);
+});
+
+test("waitUntil throws once the event has been dispatched", () => {
+  const scrollContainer = createScroller({ pullToRefresh });
+  let waitUntil;
+  scrollContainer.addEventListener(
+    "momentaMouseScrollerPullToRefresh",
+    (event) => {
+      waitUntil = event.detail.waitUntil;
+      waitUntil(Promise.resolve());
+    }
+  );
+
+  drag(scrollContainer, pullDownPoints);
+  assert.throws(
+    () => waitUntil(Promise.resolve()),
+    (error) => error.name === "InvalidStateError"
+  );
+});
+
+test("waitUntil holds the refresh until a thenable settles", async () => {
+  const scrollContainer = createScroller({ pullToRefresh });
+  const refreshEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerPullToRefresh"
+  );
+  let resolveRefresh;
+  scrollContainer.addEventListener(
+    "momentaMouseScrollerPullToRefresh",
+    (event) =>
+      event.detail.waitUntil({ then: (resolve) => (resolveRefresh = resolve) }),
+    { once: true }
+  );
+
+  drag(scrollContainer, pullDownPoints);
+  await new Promise((resolve) => setTimeout(resolve));
+  drag(scrollContainer, pullDownPoints);
+  assert.equal(refreshEvents.length, 1);
+
+  resolveRefresh();
+  await new Promise((resolve) => setTimeout(resolve));
+  drag(scrollContainer, pullDownPoints);
+  assert.equal(refreshEvents.length, 2);
+});
+
+test("destroying the scroller ends a pending refresh", async () => {
+  const scrollContainer = createScroller({
+    pullToRefresh: { threshold: 1, refreshingOffset: 30 },
+  });
+  let resolveRefresh;
+  scrollContainer.addEventListener(
+    "momentaMouseScrollerPullToRefresh",
+    (event) =>
+      event.detail.waitUntil(
+        new Promise((resolve) => (resolveRefresh = resolve))
+      )
+  );
+
+  drag(scrollContainer, pullDownPoints);
+  MomentaMouse.getScroller(scrollContainer)
+    .setBorderBouncinessLevel("none")
+    .destroy();
+  resolveRefresh();
+  await nextAnimationFrame();
+  await nextAnimationFrame();
+
+  assert.equal(scrollContainer.style.getPropertyValue("transform"), "");
+});
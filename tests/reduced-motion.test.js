@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScroller } from "./helpers.js";
+
+const reducedMotionMediaQueryList = matchMedia(
+  "(prefers-reduced-motion: reduce)"
+);
+
+function setReducedMotionPreference(matches) {
+  reducedMotionMediaQueryList.matches = matches;
+  reducedMotionMediaQueryList.dispatchEvent(new Event("change"));
+}
+
+test("preference changes are reported with the activation events", (t) => {
+  t.after(() => setReducedMotionPreference(false));
+  const scrollContainer = createScroller();
+  const deactivateEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerDeactivate"
+  );
+  const activateEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerActivate"
+  );
+
+  setReducedMotionPreference(true);
+  assert.equal(deactivateEvents.length, 1);
+  assert.equal(deactivateEvents[0].detail.reason, "Reduced motion preferred");
+
+  setReducedMotionPreference(false);
+  assert.equal(activateEvents.length, 1);
+  assert.equal(
+    activateEvents[0].detail.reason,
+    "Reduced motion no longer preferred"
+  );
+  assert.equal(
+    MomentaMouse.getScroller(scrollContainer).getScrollerData().active,
+    true
+  );
+});
+
+test("policy changes are reported only for active scrollers", (t) => {
+  t.after(() => setReducedMotionPreference(false));
+  setReducedMotionPreference(true);
+  const activeScrollContainer = createScroller();
+  const inactiveScrollContainer = createScroller({
+    activateImmediately: false,
+  });
+  const events = [];
+  ["momentaMouseScrollerActivate", "momentaMouseScrollerDeactivate"].forEach(
+    (type) => document.addEventListener(type, (event) => events.push(event))
+  );
+
+  MomentaMouse.setReducedMotionPolicy("ignore");
+  MomentaMouse.setReducedMotionPolicy("ignore");
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, "momentaMouseScrollerActivate");
+  assert.equal(events[0].detail.scrollContainer, activeScrollContainer);
+  assert.equal(events[0].detail.reason, "Reduced motion policy ignored");
+  assert.notEqual(events[0].detail.scrollContainer, inactiveScrollContainer);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import {
+  captureEvents,
+  createScrollContainer,
+  dispatchPointerEvent,
+} from "./helpers.js";
+
+// Moves a pointer that starts on a link inside a scroller, with screen
+// coordinates that move zoom times as far as client coordinates, as they do
+// when the page is zoomed out
+async function dragFromLink({ clientDistance, zoom }) {
+  const scrollContainer = createScrollContainer();
+  const link = document.createElement("a");
+  scrollContainer.append(link);
+  MomentaMouse.createScroller(scrollContainer);
+  const routeEvents = captureEvents(
+    document,
+    "momentaMouseScrollerPointerRoute"
+  );
+
+  dispatchPointerEvent(link, "pointerdown");
+  dispatchPointerEvent(link, "pointermove", {
+    clientX: clientDistance,
+    screenX: clientDistance * zoom,
+  });
+  await Promise.resolve();
+
+  return { link, scrollContainer, routeEvents };
+}
+
+test("the routing threshold is measured in CSS pixels", async () => {
+  MomentaMouse.setRoutingThreshold(5);
+
+  const { routeEvents: zoomedOutRouteEvents } = await dragFromLink({
+    clientDistance: 4,
+    zoom: 4,
+  });
+  assert.equal(zoomedOutRouteEvents.length, 1);
+  dispatchPointerEvent(document, "pointerup", { buttons: 0 });
+  MomentaMouse.destroyAll();
+
+  const { link, scrollContainer, routeEvents } = await dragFromLink({
+    clientDistance: 6,
+    zoom: 0.5,
+  });
+  assert.equal(routeEvents.length, 2);
+  assert.equal(routeEvents[1].detail.routeFrom, link);
+  assert.equal(routeEvents[1].detail.routeTo, scrollContainer);
+});
+
+test("secondary drags are measured in CSS pixels for context menu suppression", () => {
+  const scrollContainer = createScrollContainer();
+  MomentaMouse.createScroller(scrollContainer, {
+    dragButtons: ["primary", "secondary"],
+  });
+
+  dispatchPointerEvent(scrollContainer, "pointerdown", { buttons: 2 });
+  dispatchPointerEvent(scrollContainer, "pointermove", {
+    clientX: 10,
+    screenX: 2,
+    buttons: 2,
+  });
+  dispatchPointerEvent(scrollContainer, "pointerup", {
+    clientX: 10,
+    screenX: 2,
+    buttons: 0,
+  });
+
+  const contextMenuEvent = new MouseEvent("contextmenu", {
+    bubbles: true,
+    cancelable: true,
+  });
+  scrollContainer.dispatchEvent(contextMenuEvent);
+  assert.equal(contextMenuEvent.defaultPrevented, true);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { createScrollContainer, drag } from "./helpers.js";
+
+// Events of the child scroller bubble through the parent, so only the
+// parent's own events are kept
+function captureOwnEvents(target, type) {
+  const events = [];
+  target.addEventListener(type, (event) => {
+    if (event.target === target) events.push(event);
+  });
+  return events;
+}
+
+// Both scroll containers scroll vertically only, and the parent starts
+// halfway down
+function createNestedScrollers(childScrollerOptions = {}) {
+  const scrollGeometry = { scrollWidth: 100, scrollHeight: 1000 };
+  const parent = createScrollContainer(scrollGeometry);
+  const child = createScrollContainer({ parent, ...scrollGeometry });
+  MomentaMouse.createScroller(parent);
+  MomentaMouse.createScroller(child, {
+    scrollChaining: true,
+    ...childScrollerOptions,
+  });
+  parent.scrollTop = 500;
+
+  return { parent, child };
+}
+
+const dragDownPoints = [
+  [50, 100, 0],
+  [50, 120, 10],
+  [50, 140, 20],
+  [50, 140, 1000],
+];
+
+test("dragging past an edge scrolls the ancestor scroller", () => {
+  const { parent, child } = createNestedScrollers();
+
+  drag(child, dragDownPoints);
+  assert.equal(child.scrollTop, 0);
+  assert.equal(parent.scrollTop, 460);
+});
+
+test("dragging past an edge does not scroll the ancestor without scroll chaining", () => {
+  const { parent, child } = createNestedScrollers({ scrollChaining: false });
+
+  drag(child, dragDownPoints);
+  assert.equal(child.scrollTop, 0);
+  assert.equal(parent.scrollTop, 500);
+});
+
+test("overscroll-behavior contain keeps the drag in the scroller", () => {
+  const { parent, child } = createNestedScrollers();
+  child.style.setProperty("overscroll-behavior-y", "contain");
+
+  drag(child, dragDownPoints);
+  assert.equal(parent.scrollTop, 500);
+});
+
+test("momentum left over at an edge continues as a momentum scroll of the ancestor", async () => {
+  const { parent, child } = createNestedScrollers();
+  const parentScrollStartEvents = captureOwnEvents(
+    parent,
+    "momentaMouseScrollerScrollStart"
+  );
+  const parentScrollStopEvents = captureOwnEvents(
+    parent,
+    "momentaMouseScrollerScrollStop"
+  );
+  child.scrollTop = 850;
+
+  await MomentaMouse.getScroller(child).flick({ velocityY: -1 });
+  assert.equal(child.scrollTop, 900);
+
+  while (!parentScrollStopEvents.length)
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(parentScrollStartEvents.length, 1);
+  assert.ok(parentScrollStartEvents[0].detail.initialVelocityY < 0);
+  assert.ok(parent.scrollTop > 500);
+});
+
+test("overscroll-behavior none keeps the momentum in the scroller", async () => {
+  const { parent, child } = createNestedScrollers();
+  child.style.setProperty("overscroll-behavior-y", "none");
+  const parentScrollStartEvents = captureOwnEvents(
+    parent,
+    "momentaMouseScrollerScrollStart"
+  );
+  child.scrollTop = 850;
+
+  await MomentaMouse.getScroller(child).flick({ velocityY: -1 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(child.scrollTop, 900);
+  assert.equal(parentScrollStartEvents.length, 0);
+  assert.equal(parent.scrollTop, 500);
+});
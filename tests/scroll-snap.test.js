@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScroller, placeElement } from "./helpers.js";
+
+const stylesheet = document.createElement("style");
+stylesheet.textContent = `
+  .mandatory { scroll-snap-type: x mandatory; }
+  .proximity { scroll-snap-type: x proximity; }
+  .snap-area { scroll-snap-align: start; }
+`;
+document.head.append(stylesheet);
+
+const assertCloseTo = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 0.5,
+    `expected ${actual} to be within 0.5 of ${expected}`
+  );
+
+// Snap areas start every 300 pixels, and a flick at velocityX travels about
+// 500 * velocityX ** 2 pixels at the default deceleration level
+function createSnapScroller(scrollSnapType) {
+  const scrollContainer = createScroller(
+    {},
+    { scrollWidth: 1000, scrollHeight: 100 }
+  );
+  scrollContainer.classList.add(scrollSnapType);
+  const snapAreas = [0, 300, 600, 900].map((left) => {
+    const snapArea = document.createElement("div");
+    snapArea.classList.add("snap-area");
+    return placeElement(snapArea, scrollContainer, { left });
+  });
+  scrollContainer.append(...snapAreas);
+
+  return {
+    scrollContainer,
+    scroller: MomentaMouse.getScroller(scrollContainer),
+    snapAreas,
+  };
+}
+
+test("a flick decelerates into the nearest snap position and reports it", async () => {
+  const { scrollContainer, scroller, snapAreas } =
+    createSnapScroller("mandatory");
+  const stopEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerScrollStop"
+  );
+
+  const { snapTarget } = await scroller.flick({ velocityX: -0.7 });
+  assertCloseTo(scrollContainer.scrollLeft, 300);
+  assert.equal(snapTarget, snapAreas[1]);
+  assert.equal(stopEvents[0].detail.snapTarget, snapAreas[1]);
+});
+
+test("snap positions in the direction of the flick are preferred", async () => {
+  const { scrollContainer, scroller, snapAreas } =
+    createSnapScroller("mandatory");
+  scrollContainer.scrollLeft = 320;
+
+  const { snapTarget } = await scroller.flick({ velocityX: -0.3 });
+  assertCloseTo(scrollContainer.scrollLeft, 600);
+  assert.equal(snapTarget, snapAreas[2]);
+});
+
+test("proximity snapping ignores snap positions far from the end point", async () => {
+  const { scrollContainer, scroller } = createSnapScroller("proximity");
+  scrollContainer.scrollLeft = 320;
+
+  const { snapTarget } = await scroller.flick({ velocityX: -0.3 });
+  assertCloseTo(scrollContainer.scrollLeft, 365);
+  assert.equal(snapTarget, null);
+});
+
+test("scroll snapping is suspended during the momentum scroll and restored after it", async () => {
+  const { scrollContainer, scroller } = createSnapScroller("mandatory");
+  scrollContainer.style.setProperty("scroll-snap-type", "x mandatory");
+
+  const flick = scroller.flick({ velocityX: -0.7 });
+  assert.equal(
+    scrollContainer.style.getPropertyValue("scroll-snap-type"),
+    "none"
+  );
+  assert.equal(
+    scrollContainer.style.getPropertyPriority("scroll-snap-type"),
+    "important"
+  );
+
+  await flick;
+  assert.equal(
+    scrollContainer.style.getPropertyValue("scroll-snap-type"),
+    "x mandatory"
+  );
+  assert.equal(
+    scrollContainer.style.getPropertyPriority("scroll-snap-type"),
+    ""
+  );
+});
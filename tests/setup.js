@@ -0,0 +1,211 @@
+// Loaded with --import before every test file. It redirects the remote
+// utilities import to tests/utilities.js and exposes a jsdom window as the
+// global scope that momenta-mouse.js expects.
+
+import { register } from "node:module";
+import { JSDOM } from "jsdom";
+
+register("./utilities-loader.js", import.meta.url);
+
+const { window } = new JSDOM(
+  "<!DOCTYPE html><html><head></head><body></body></html>",
+  {
+    pretendToBeVisual: true,
+    url: "http://localhost/",
+  }
+);
+
+if (!window.PointerEvent) {
+  window.PointerEvent = class PointerEvent extends window.MouseEvent {
+    constructor(type, eventInitDict = {}) {
+      super(type, eventInitDict);
+      this.pointerId = eventInitDict.pointerId ?? 0;
+      this.pointerType = eventInitDict.pointerType ?? "";
+      this.isPrimary = eventInitDict.isPrimary ?? false;
+    }
+  };
+}
+
+const capturedPointers = new WeakMap();
+Object.assign(window.Element.prototype, {
+  setPointerCapture(pointerId) {
+    capturedPointers.set(this, pointerId);
+  },
+  hasPointerCapture(pointerId) {
+    return capturedPointers.get(this) === pointerId;
+  },
+  releasePointerCapture(pointerId) {
+    if (capturedPointers.get(this) === pointerId) capturedPointers.delete(this);
+  },
+});
+
+// jsdom's CSSStyleDeclaration drops properties it does not know, such as
+// touch-action, so those are kept in a side table
+const unknownStyleProperties = new WeakMap();
+const getUnknownStyleProperties = (style) => {
+  if (!unknownStyleProperties.has(style))
+    unknownStyleProperties.set(style, new Map());
+  return unknownStyleProperties.get(style);
+};
+const { setProperty, getPropertyValue, getPropertyPriority, removeProperty } =
+  window.CSSStyleDeclaration.prototype;
+Object.assign(window.CSSStyleDeclaration.prototype, {
+  setProperty(property, value, priority = "") {
+    setProperty.call(this, property, value, priority);
+    getUnknownStyleProperties(this).delete(property);
+    if (value && !getPropertyValue.call(this, property))
+      getUnknownStyleProperties(this).set(property, { value, priority });
+  },
+  getPropertyValue(property) {
+    const unknownProperty = getUnknownStyleProperties(this).get(property);
+    return unknownProperty
+      ? unknownProperty.value
+      : getPropertyValue.call(this, property);
+  },
+  getPropertyPriority(property) {
+    const unknownProperty = getUnknownStyleProperties(this).get(property);
+    return unknownProperty
+      ? unknownProperty.priority
+      : getPropertyPriority.call(this, property);
+  },
+  removeProperty(property) {
+    const unknownProperty = getUnknownStyleProperties(this).get(property);
+    getUnknownStyleProperties(this).delete(property);
+    return unknownProperty
+      ? unknownProperty.value
+      : removeProperty.call(this, property);
+  },
+});
+
+// jsdom has no CSS.supports, so declarations are checked against its own
+// CSSStyleDeclaration, which drops values it cannot parse
+window.CSS = {
+  supports(property, value) {
+    const { style } = window.document.createElement("div");
+    setProperty.call(style, property, value);
+    return getPropertyValue.call(style, property) !== "";
+  },
+};
+
+// jsdom does not compute overscroll-behavior, whose initial value is auto
+[
+  ["overscrollBehaviorX", "overscroll-behavior-x"],
+  ["overscrollBehaviorY", "overscroll-behavior-y"],
+].forEach(([propertyName, property]) =>
+  Object.defineProperty(window.CSSStyleDeclaration.prototype, propertyName, {
+    configurable: true,
+    get() {
+      return this.getPropertyValue(property) || "auto";
+    },
+  })
+);
+
+// Tests can set matches on a query's list and dispatch change on it
+const mediaQueryLists = new Map();
+window.matchMedia = (query) => {
+  if (!mediaQueryLists.has(query))
+    mediaQueryLists.set(
+      query,
+      Object.assign(new window.EventTarget(), { matches: false, media: query })
+    );
+  return mediaQueryLists.get(query);
+};
+
+// jsdom does no layout, so observers only report the initial size of each
+// target and the sizes that tests announce with notifyResize. Entries carry
+// only their target.
+const resizeObservers = new Set();
+
+window.ResizeObserver = class ResizeObserver {
+  #callback;
+  #targets = new Set();
+  #pendingTargets = new Set();
+
+  constructor(callback) {
+    this.#callback = callback;
+    resizeObservers.add(this);
+  }
+
+  observe(target) {
+    if (this.#targets.has(target)) return;
+
+    this.#targets.add(target);
+    this.notify(target);
+  }
+
+  unobserve(target) {
+    this.#targets.delete(target);
+    this.#pendingTargets.delete(target);
+  }
+
+  disconnect() {
+    this.#targets.clear();
+    this.#pendingTargets.clear();
+  }
+
+  notify(target) {
+    if (!this.#targets.has(target)) return;
+    if (!this.#pendingTargets.size)
+      window.requestAnimationFrame(() => {
+        const entries = Array.from(this.#pendingTargets, (target) => ({
+          target,
+        }));
+        this.#pendingTargets.clear();
+        if (entries.length) this.#callback(entries, this);
+      });
+
+    this.#pendingTargets.add(target);
+  }
+};
+
+export const notifyResize = (target) =>
+  resizeObservers.forEach((resizeObserver) => resizeObserver.notify(target));
+
+window.reportError = (error) =>
+  window.dispatchEvent(
+    new window.ErrorEvent("error", { error, message: error.message })
+  );
+
+[
+  "window",
+  "document",
+  "navigator",
+  "devicePixelRatio",
+  "Node",
+  "Element",
+  "HTMLElement",
+  "ShadowRoot",
+  "CSS",
+  "AbortController",
+  "AbortSignal",
+  "Event",
+  "EventTarget",
+  "CustomEvent",
+  "MouseEvent",
+  "PointerEvent",
+  "KeyboardEvent",
+  "MutationObserver",
+  "ResizeObserver",
+  "matchMedia",
+  "getComputedStyle",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "reportError",
+].forEach((name) =>
+  Object.defineProperty(globalThis, name, {
+    configurable: true,
+    writable: true,
+    value:
+      typeof window[name] === "function" && !/^[A-Z]/.test(name)
+        ? window[name].bind(window)
+        : window[name],
+  })
+);
+
+["addEventListener", "removeEventListener", "dispatchEvent"].forEach((name) =>
+  Object.defineProperty(globalThis, name, {
+    configurable: true,
+    writable: true,
+    value: window[name].bind(window),
+  })
+);
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { captureEvents, createScrollContainer, drag } from "./helpers.js";
+
+test("a drag that starts inside an open shadow root scrolls its scroller", () => {
+  const host = document.createElement("div");
+  document.body.append(host);
+  const shadowRoot = host.attachShadow({ mode: "open" });
+  const scrollContainer = createScrollContainer({ parent: shadowRoot });
+  const content = document.createElement("div");
+  scrollContainer.append(content);
+  MomentaMouse.createScroller(scrollContainer);
+
+  const routeEvents = captureEvents(
+    document,
+    "momentaMouseScrollerPointerRoute"
+  );
+  const handlingStartEvents = captureEvents(
+    document,
+    "momentaMouseScrollerPointerHandlingStart"
+  );
+  const handlingStopEvents = captureEvents(
+    document,
+    "momentaMouseScrollerPointerHandlingStop"
+  );
+
+  drag(content, [
+    [200, 200, 0],
+    [190, 180, 10],
+    [180, 160, 20],
+    [180, 160, 500],
+  ]);
+
+  assert.equal(scrollContainer.scrollLeft, 20);
+  assert.equal(scrollContainer.scrollTop, 40);
+
+  assert.equal(routeEvents.length, 1);
+  assert.equal(routeEvents[0].detail.routeTo, scrollContainer);
+  assert.equal(handlingStartEvents.length, 1);
+  assert.equal(handlingStartEvents[0].detail.scrollContainer, scrollContainer);
+  assert.equal(handlingStopEvents.length, 1);
+  assert.equal(handlingStopEvents[0].detail.scrollContainer, scrollContainer);
+});
+
+test("pointer routing and handling events are composed", () => {
+  const host = document.createElement("div");
+  document.body.append(host);
+  const shadowRoot = host.attachShadow({ mode: "open" });
+  const scrollContainer = createScrollContainer({ parent: shadowRoot });
+  MomentaMouse.createScroller(scrollContainer);
+
+  const events = [];
+  [
+    "momentaMouseScrollerPointerRoute",
+    "momentaMouseScrollerPointerHandlingStart",
+    "momentaMouseScrollerPointerHandlingStop",
+  ].forEach((type) =>
+    document.addEventListener(type, (event) => events.push(event))
+  );
+
+  drag(scrollContainer, [
+    [0, 0, 0],
+    [0, 0, 1000],
+  ]);
+
+  assert.equal(events.length, 3);
+  events.forEach((event) => assert.equal(event.composed, true));
+});
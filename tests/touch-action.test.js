@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import { createScrollContainer } from "./helpers.js";
+
+test("inline touch-action is left alone while only the mouse is allowed", () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.style.setProperty("touch-action", "pan-y");
+
+  const scroller = MomentaMouse.createScroller(scrollContainer);
+  assert.equal(scrollContainer.style.getPropertyValue("touch-action"), "pan-y");
+
+  scroller.deactivate();
+  assert.equal(scrollContainer.style.getPropertyValue("touch-action"), "pan-y");
+
+  scroller.destroy();
+  assert.equal(scrollContainer.style.getPropertyValue("touch-action"), "pan-y");
+});
+
+test("inline touch-action is overridden only while pen or touch is allowed", () => {
+  const scrollContainer = createScrollContainer();
+  scrollContainer.style.setProperty("touch-action", "pan-y");
+  const scroller = MomentaMouse.createScroller(scrollContainer);
+
+  MomentaMouse.setAllowedPointerTypes(["mouse", "touch"]);
+  assert.equal(scrollContainer.style.getPropertyValue("touch-action"), "none");
+
+  scroller.deactivate();
+  assert.equal(scrollContainer.style.getPropertyValue("touch-action"), "pan-y");
+
+  scroller.activate();
+  assert.equal(scrollContainer.style.getPropertyValue("touch-action"), "none");
+
+  MomentaMouse.setAllowedPointerTypes(["mouse"]);
+  assert.equal(scrollContainer.style.getPropertyValue("touch-action"), "pan-y");
+});
+
+test("only scrollers deactivated for pointer availability are reactivated", () => {
+  const manuallyDeactivatedScroller = MomentaMouse.createScroller(
+    createScrollContainer()
+  ).deactivate();
+  const activeScroller = MomentaMouse.createScroller(createScrollContainer());
+
+  // jsdom reports no touch points, so no allowed pointer type is available
+  MomentaMouse.setAllowedPointerTypes(["touch"]);
+  assert.equal(activeScroller.getScrollerData().active, false);
+
+  MomentaMouse.setAllowedPointerTypes(["mouse"]);
+  assert.equal(activeScroller.getScrollerData().active, true);
+  assert.equal(manuallyDeactivatedScroller.getScrollerData().active, false);
+});
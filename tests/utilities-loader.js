@@ -0,0 +1,8 @@
+const utilitiesUrl = "https://damianmgarcia.com/scripts/modules/utilities.js";
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === utilitiesUrl)
+    return nextResolve(new URL("./utilities.js", import.meta.url).href);
+
+  return nextResolve(specifier, context);
+}
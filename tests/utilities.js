@@ -0,0 +1,131 @@
+// Test stand-in for https://damianmgarcia.com/scripts/modules/utilities.js,
+// which cannot be fetched by Node. It implements only what momenta-mouse.js
+// uses, with jsdom in place of a browser. It is written from how
+// momenta-mouse.js calls the real module, not checked against its source, so
+// it may differ from it in these ways:
+//
+// - validateArgument types arrays as "array", which momenta-mouse.js has
+//   always passed in allowedTypes, and null as "object", as typeof does.
+//   Whether the real module lets null through an "object" check is not relied
+//   upon, since momenta-mouse.js rejects null options itself.
+// - validateArgument throws TypeError for types and prototypes and RangeError
+//   for values and bounds, with its own messages. Tests only match messages
+//   that momenta-mouse.js passes as customErrorMessage or throws itself.
+// - Heuristics always reports a mouse and never dispatches
+//   deviceHeuristicsChange.
+// - InputTools never reports coalesced event support, so pointer moves are
+//   handled one event at a time.
+// - ScrollContainerTools works from the scroll geometry that tests define on
+//   each element, since jsdom does no layout.
+
+const getType = (value) =>
+  value === null ? "object" : Array.isArray(value) ? "array" : typeof value;
+
+export function validateArgument(
+  argumentName,
+  argument,
+  {
+    allowedTypes = [],
+    allowedValues = [],
+    allowedPrototypes = [],
+    allowedMin,
+    allowedMax,
+    allowFiniteNumbersOnly = false,
+    allowNonNaNNumbersOnly = false,
+    customErrorMessage,
+  } = {}
+) {
+  const fail = (ErrorType, message) => {
+    throw new ErrorType(customErrorMessage || `${argumentName} ${message}`);
+  };
+
+  if (allowedTypes.length && !allowedTypes.includes(getType(argument)))
+    fail(TypeError, `must be of type ${allowedTypes.join(" or ")}`);
+
+  if (allowedValues.length && !allowedValues.includes(argument))
+    fail(RangeError, `must be one of ${allowedValues.join(", ")}`);
+
+  if (
+    allowedPrototypes.length &&
+    !allowedPrototypes.some((prototype) => argument instanceof prototype)
+  )
+    fail(TypeError, "has a prototype that is not allowed");
+
+  if (typeof argument !== "number") return;
+
+  if (allowNonNaNNumbersOnly && Number.isNaN(argument))
+    fail(RangeError, "cannot be NaN");
+
+  if (allowFiniteNumbersOnly && !Number.isFinite(argument))
+    fail(RangeError, "must be finite");
+
+  if (allowedMin !== undefined && !(argument >= allowedMin))
+    fail(RangeError, `must be greater than or equal to ${allowedMin}`);
+
+  if (allowedMax !== undefined && !(argument <= allowedMax))
+    fail(RangeError, `must be less than or equal to ${allowedMax}`);
+}
+
+export const Heuristics = {
+  getDeviceHeuristics: () => ({ hasMouseOrTouchpad: true }),
+};
+
+export const InputTools = {
+  isKeyThatScrolls: (key) =>
+    [
+      "ArrowUp",
+      "ArrowDown",
+      "ArrowLeft",
+      "ArrowRight",
+      "PageUp",
+      "PageDown",
+      "Home",
+      "End",
+      " ",
+    ].includes(key),
+  isPrimaryInput: (event) => event.buttons === 1,
+  supportsGetCoalescedEvents: () => false,
+};
+
+export const ScrollContainerTools = {
+  getAxisOverflowProperties(element) {
+    const { overflowX, overflowY } = getComputedStyle(element);
+    const xAxisOverflow = overflowX || "visible";
+    const yAxisOverflow = overflowY || "visible";
+    // Hidden overflow can still be scrolled programmatically
+    const xAxisIsPotentiallyScrollable =
+      element.scrollWidth > element.clientWidth &&
+      ["auto", "scroll", "hidden"].includes(xAxisOverflow);
+    const yAxisIsPotentiallyScrollable =
+      element.scrollHeight > element.clientHeight &&
+      ["auto", "scroll", "hidden"].includes(yAxisOverflow);
+
+    return {
+      xAxisOverflow,
+      yAxisOverflow,
+      xAxisIsPotentiallyScrollable,
+      yAxisIsPotentiallyScrollable,
+      xAxisIsScrollable:
+        xAxisIsPotentiallyScrollable && xAxisOverflow !== "hidden",
+      yAxisIsScrollable:
+        yAxisIsPotentiallyScrollable && yAxisOverflow !== "hidden",
+    };
+  },
+
+  getEdgeStatus(element) {
+    const maxLeft = element.scrollWidth - element.clientWidth;
+    const maxTop = element.scrollHeight - element.clientHeight;
+
+    return {
+      atLeftEdge: element.scrollLeft <= 0,
+      atRightEdge: element.scrollLeft >= maxLeft,
+      atTopEdge: element.scrollTop <= 0,
+      atBottomEdge: element.scrollTop >= maxTop,
+    };
+  },
+
+  getPageProgression: (element) =>
+    getComputedStyle(element).direction === "rtl"
+      ? "right-to-left"
+      : "left-to-right",
+};
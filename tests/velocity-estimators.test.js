@@ -0,0 +1,172 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MomentaMouse } from "../momenta-mouse.js";
+import {
+  captureEvents,
+  createScrollContainer,
+  drag,
+  nextAnimationFrame,
+  reportedErrors,
+} from "./helpers.js";
+
+const assertAlmostEqual = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${actual} to be ${expected}`
+  );
+
+// Drags horizontally along [screenX, timeStamp] points and resolves with the
+// initial velocity of the momentum scroll that follows, or 0 if there is none
+async function flick(velocityEstimator, options, points) {
+  const scrollContainer = createScrollContainer({ scrollHeight: 100 });
+  MomentaMouse.createScroller(scrollContainer).setVelocityEstimator(
+    velocityEstimator,
+    options
+  );
+  const scrollStartEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerScrollStart"
+  );
+
+  drag(
+    scrollContainer,
+    points.map(([screenX, timeStamp]) => [screenX, 0, timeStamp])
+  );
+  await nextAnimationFrame();
+
+  return scrollStartEvents.length
+    ? scrollStartEvents[0].detail.initialVelocityX
+    : 0;
+}
+
+const steadyPoints = [
+  [300, 0],
+  [290, 10],
+  [280, 20],
+  [270, 30],
+  [260, 40],
+  [250, 50],
+];
+
+const acceleratingPoints = [
+  [300, 0],
+  [290, 10],
+  [280, 20],
+  [260, 30],
+  [240, 40],
+];
+
+test("recent-delta uses the most recent pointer move at a different position", async () => {
+  assertAlmostEqual(await flick("recent-delta", {}, steadyPoints), -1);
+  assertAlmostEqual(
+    await flick("recent-delta", {}, [
+      [300, 0],
+      [290, 10],
+      [280, 20],
+      [270, 30],
+      [260, 40],
+      [260, 45],
+      [260, 50],
+    ]),
+    -0.5
+  );
+});
+
+test("recent-delta ignores sampleWindow", async () => {
+  assertAlmostEqual(
+    await flick("recent-delta", { sampleWindow: 0 }, steadyPoints),
+    -1
+  );
+});
+
+test("weighted-average weights recent and long segments more", async () => {
+  assertAlmostEqual(await flick("weighted-average", {}, steadyPoints), -1);
+  assertAlmostEqual(
+    await flick("weighted-average", {}, acceleratingPoints),
+    -28.333333333333332 / 15
+  );
+});
+
+test("least-squares fits a line to the samples within sampleWindow", async () => {
+  assertAlmostEqual(await flick("least-squares", {}, steadyPoints), -1);
+  assertAlmostEqual(await flick("least-squares", {}, acceleratingPoints), -1.7);
+  assertAlmostEqual(
+    await flick("least-squares", { sampleWindow: 15 }, acceleratingPoints),
+    -2
+  );
+});
+
+test("a pointer that rests past staleSampleCutoff does not flick", async () => {
+  assert.equal(
+    await flick("least-squares", { staleSampleCutoff: 50 }, [
+      [300, 0],
+      [290, 10],
+      [280, 20],
+      [280, 80],
+    ]),
+    0
+  );
+});
+
+test("custom estimators receive chronological samples ending with pointerup", async () => {
+  let receivedSamples;
+  const velocity = await flick(
+    {
+      getVelocity: (samples) => {
+        receivedSamples = samples;
+        return -3;
+      },
+    },
+    {},
+    acceleratingPoints
+  );
+
+  assert.equal(velocity, -3);
+  assert.deepEqual(receivedSamples, [
+    { position: 290, time: 10 },
+    { position: 280, time: 20 },
+    { position: 260, time: 30 },
+    { position: 240, time: 40 },
+  ]);
+});
+
+test("a throwing custom estimator is reported and the drag still ends cleanly", async () => {
+  const error = new Error("Estimator failure");
+  const scrollContainer = createScrollContainer({ scrollHeight: 100 });
+  const scroller = MomentaMouse.createScroller(
+    scrollContainer
+  ).setVelocityEstimator({
+    getVelocity: () => {
+      throw error;
+    },
+  });
+  const handlingStopEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerPointerHandlingStop"
+  );
+  const scrollStartEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerScrollStart"
+  );
+  const scrollStopEvents = captureEvents(
+    scrollContainer,
+    "momentaMouseScrollerScrollStop"
+  );
+
+  drag(
+    scrollContainer,
+    steadyPoints.map(([screenX, timeStamp]) => [screenX, 0, timeStamp])
+  );
+  await nextAnimationFrame();
+
+  assert.deepEqual(reportedErrors, [error]);
+  assert.equal(handlingStopEvents.length, 1);
+  assert.equal(scrollStartEvents.length, 0);
+  assert.equal(scrollStopEvents.length, 1);
+  assert.equal(scroller.getScrollerData().isCurrentlyHandlingPointer, false);
+});
+
+test("setVelocityEstimator rejects null", () => {
+  const scroller = MomentaMouse.createScroller(createScrollContainer());
+  assert.throws(() => scroller.setVelocityEstimator(null), /cannot be null/);
+});